@@ -14,15 +14,18 @@ import zip from 'gulp-zip';
 const paths = {
     dist: {
         css: 'style.min.css',
+        data: 'dist/data',
         dir: 'dist',
         images: 'dist/images',
         js: 'script.min.js'
     },
     src: {
         css: 'src/css/**.css',
+        data: 'src/data/**/*.json',
         html: 'src/**.html',
         images: 'src/images/**',
-        js: 'src/js/**.js'
+        js: ['src/js/**.js', '!src/js/musicWorker.js'],
+        worker: ['src/js/musicWorker.js', 'src/js/zzFx.js']
     }
 };
 
@@ -57,6 +60,15 @@ gulp.task('buildJS', () => gulp.
     pipe(minifyJS()).
     pipe(gulp.dest(paths.dist.dir)));
 
+gulp.task('buildWorker', () => gulp.
+    src(paths.src.worker).
+    pipe(minifyJS()).
+    pipe(gulp.dest(paths.dist.dir)));
+
+gulp.task('copyData', () => gulp.
+    src(paths.src.data).
+    pipe(gulp.dest(paths.dist.data)));
+
 gulp.task('optimizeImages', () => gulp.
     src(paths.src.images).
     pipe(imagemin()).
@@ -78,7 +90,7 @@ gulp.task('zip', () => {
 
 gulp.task('build', gulp.series(
     'cleanDist',
-    gulp.parallel('buildHTML', 'buildCSS', 'buildJS', 'optimizeImages'),
+    gulp.parallel('buildHTML', 'buildCSS', 'buildJS', 'buildWorker', 'copyData', 'optimizeImages'),
     'zip'
 ));
 
@@ -86,6 +98,8 @@ gulp.task('watch', () => {
     gulp.watch(paths.src.html, gulp.series('buildHTML', 'zip'));
     gulp.watch(paths.src.css, gulp.series('buildCSS', 'zip'));
     gulp.watch(paths.src.js, gulp.series('buildJS', 'zip'));
+    gulp.watch(paths.src.worker, gulp.series('buildWorker', 'zip'));
+    gulp.watch(paths.src.data, gulp.series('copyData', 'zip'));
     gulp.watch(paths.src.images, gulp.series('optimizeImages', 'zip'));
 });
 
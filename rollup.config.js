@@ -11,6 +11,7 @@ export default {
         kontra({
             gameObject: {
                 anchor: true,
+                opacity: true,
                 radius: true,
                 rotation: true,
                 scale: true,
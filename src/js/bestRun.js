@@ -0,0 +1,39 @@
+/* global localStorage */
+// Best verified run of every difficulty preset and its ghost, dropped once stored in another format version
+import ghost from './ghost.js';
+import replay from './replay.js';
+import settings from './settings.js';
+
+const
+    // Storage key of the ghosts
+    GHOST_KEY = 'ootcdGhost',
+    // Storage key of the runs
+    RUN_KEY = 'ootcdReplay',
+    // Stored entry of a format version, dropping it when it was stored in another version
+    load = (key, version) => {
+        const entry = JSON.parse(localStorage.getItem(key));
+
+        if (entry && entry.version !== version) {
+            localStorage.removeItem(key);
+
+            return null;
+        }
+
+        return entry;
+    };
+
+export default {
+    // Ghost of the best run of a difficulty preset, if any
+    ghost (preset) {
+        return load(settings.tag(GHOST_KEY, preset), ghost.VERSION);
+    },
+    // Best verified run of a difficulty preset, if any
+    run (preset) {
+        return load(settings.tag(RUN_KEY, preset), replay.VERSION);
+    },
+    // Keep a run and its ghost as the best of a difficulty preset
+    save (preset, run, runGhost) {
+        localStorage.setItem(settings.tag(RUN_KEY, preset), JSON.stringify(run));
+        localStorage.setItem(settings.tag(GHOST_KEY, preset), JSON.stringify(runGhost));
+    }
+};
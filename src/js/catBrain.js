@@ -0,0 +1,495 @@
+/* eslint-disable no-extra-parens, no-mixed-operators, sort-vars */
+// DOM-free state machine of the cat, advanced one step at a time within the world it lives in
+import pathfinding from './pathfinding.js';
+import rooms from './rooms.js';
+import stages from './stages.js';
+
+const
+    // Base distances in tiles, scaled by the tile size of the world
+    BASE_ACTIVATION_DISTANCE = 3,
+    // Distance threshold to consider cat has reached the food, which blocks it so it eats from right next to it
+    BASE_FOOD_THRESHOLD = 1.5,
+    // Maximum distance before cat stops following
+    BASE_MAX_FOLLOW_DISTANCE = 6,
+    // Minimum distance to start moving toward the pointer
+    BASE_MIN_DISTANCE = 0.125,
+    // Closer distance required to re-engage the cat
+    BASE_REENGAGEMENT_DISTANCE = 1,
+    // Cat states
+    CAT_STATES = {
+        ASLEEP: 'asleep',
+        AWAKE: 'awake',
+        EATING: 'eating',
+        EXHAUSTED: 'exhausted',
+        IDLE: 'idle',
+        SEEKING_COUCH: 'seekingCouch'
+    },
+    // Distance threshold to consider cat has reached the couch
+    COUCH_THRESHOLD = 10,
+    // Time in seconds for eating animation
+    EATING_DURATION = 3,
+    // Rate at which the cat gets tired from movement
+    EXHAUST_FACTOR = 0.1,
+    // Exhaust level at which the food bowl appears
+    FOOD_THRESHOLD = 433,
+    // Time in seconds for idle behavior
+    IDLE_TIMEOUT = 1,
+    // Movement speeds in world units per second
+    MAX_SPEED = 300,
+    MIN_SPEED = 30,
+    // Happiness gained per second while sitting on a perch
+    PERCH_HAPPINESS = 3,
+    // Function to calculate distance between two points
+    calcDistance = (x1, y1, x2, y2) => {
+        const
+            dx = x1 - x2,
+            dy = y1 - y2;
+
+        // Calculate Euclidean distance
+        return Math.sqrt(dx * dx + dy * dy);
+    },
+    // Position the cat in the center of the target object with optional offsets
+    centerOn = ({cat, world}, target, xOffset = 0, yOffset = 0) => {
+        cat.x = target.x + (target.width - world.size.width) / 2 + xOffset;
+        cat.y = target.y + (target.height - world.size.height) / 2 + yOffset;
+    },
+    // Clamp a value between a minimum and maximum
+    clamp = (value, min, max) => Math.max(min, Math.min(max, value)),
+    // Move the cat a distance along a direction within the world bounds, sliding along the furniture in its way
+    moveBy = ({cat, world}, directionX, directionY, distance) => {
+        const
+            // A cat that ended up in furniture, such as a couch moved onto it, walks out freely
+            isStuck = pathfinding.overlaps(world.grid, {
+                ...world.size,
+                x: cat.x,
+                y: cat.y
+            }),
+            isFree = (x, y) => isStuck || !pathfinding.overlaps(world.grid, {
+                ...world.size,
+                x,
+                y
+            }),
+            x = clamp(cat.x + directionX * distance, 0, world.bounds.width - world.size.width),
+            y = clamp(cat.y + directionY * distance, 0, world.bounds.height - world.size.height);
+
+        // Move along each axis on its own so a blocked one does not stop the other
+        if (isFree(x, cat.y)) {
+            cat.x = x;
+        }
+        if (isFree(cat.x, y)) {
+            cat.y = y;
+        }
+    },
+    // Calculate new meter value based on recovery rate
+    recoveryRateCalculation = (meter, rate, dt, multiplier = 1) => Math.max(0, meter - rate * multiplier * dt),
+    // Function to reset idle and outside range timers
+    resetTimers = (cat) => {
+        cat.idleTimer = 0;
+        cat.outsideRangeTimer = 0;
+    },
+    // Handles the evolution process
+    evolve = ({cat, emit, world}) => {
+        const stage = stages.get(cat.evolutionLevel + 1);
+
+        cat.evolutionTimer = 0;
+        cat.evolutionLevel += 1;
+        // The rules of the world are scaled by the room the cat leaves, the new stage is played in a room of its own
+        cat.evolutionTargetTime = stage.targetTime * rooms.rules(rooms.get(stage.room), world.difficulty).evolutionTimeFactor;
+        cat.happinessMeter -= stages.get(cat.evolutionLevel).happinessPenalty;
+        emit('evolved', {
+            ascended: cat.evolutionLevel >= stages.evolutions(),
+            level: cat.evolutionLevel
+        });
+    },
+    // Put the cat to sleep
+    sleep = (step, centerOnCouch = true) => {
+        const {cat, emit, world} = step;
+
+        cat.state = CAT_STATES.ASLEEP;
+        resetTimers(cat);
+        cat.sleepTimer = 0;
+        // Hide food
+        emit('foodHidden');
+        // Center the cat on the couch for sleeping
+        if (centerOnCouch) {
+            centerOn(step, world.couch);
+        }
+        emit('fellAsleep');
+    },
+    // Start eating
+    startEating = (step) => {
+        const {cat, emit, world} = step;
+
+        cat.state = CAT_STATES.EATING;
+        resetTimers(cat);
+        cat.eatingTimer = 0;
+        cat.eatingSoundTimer = 0;
+        // Center the cat on the food bowl
+        centerOn(step, world.food, -10, -5);
+        emit('startedEating');
+    },
+    // Start seeking the couch
+    startSeekingCouch = ({cat, emit}) => {
+        cat.state = CAT_STATES.SEEKING_COUCH;
+        resetTimers(cat);
+        emit('seekingCouch');
+    },
+    // Handle eating state
+    updateEating = ({cat, emit}, dt) => {
+        cat.eatingTimer += dt;
+        // Increase happiness while eating
+        cat.happinessMeter = Math.min(100, cat.happinessMeter + 5 * dt);
+
+        // Check if eating is complete
+        if (cat.eatingTimer >= EATING_DURATION) {
+            cat.eatingSoundTimer = 0;
+            // Reset exhaust meter
+            cat.exhaustMeter = 0;
+            // Return to awake state
+            cat.state = CAT_STATES.AWAKE;
+            // Hide food bowl
+            emit('foodHidden');
+            emit('finishedEating');
+        }
+        cat.eatingSoundTimer += dt;
+        if (cat.eatingSoundTimer >= 1) {
+            emit('chewed');
+            cat.eatingSoundTimer = 0;
+        }
+    },
+    // Handle seeking couch state
+    updateSeekingCouch = (step, dt) => {
+        const
+            {cat, world} = step,
+            // Path to a cell right next to the couch, found again every step as the cat walks it
+            path = pathfinding.findPath(world.grid, pathfinding.cellAt(world.grid, cat), pathfinding.around(world.grid, world.couch)),
+            // Head for the next cell of the path, or line up with the last one
+            waypoint = path && path[Math.min(1, path.length - 1)],
+            waypointX = waypoint && waypoint.column * world.grid.tileSize - cat.x,
+            waypointY = waypoint && waypoint.row * world.grid.tileSize - cat.y,
+            distanceToWaypoint = waypoint && calcDistance(waypointX, waypointY, 0, 0),
+            moveSpeed = MIN_SPEED + (MAX_SPEED - MIN_SPEED) * 0.25;
+
+        // Continue decreasing happiness while moving to couch
+        cat.happinessMeter = Math.max(0, cat.happinessMeter - dt);
+
+        // Check if cat has reached the couch, or fall asleep on the spot when it can not be reached
+        if (!path) {
+            sleep(step, false);
+
+            return;
+        }
+        if (path.length === 1 && distanceToWaypoint <= COUCH_THRESHOLD) {
+            // Cat has reached the couch, now start sleeping
+            sleep(step);
+
+            return;
+        }
+
+        // Face and move towards the waypoint at a moderate speed, with a safe check for division by zero
+        if (waypointX !== 0) {
+            cat.facingRight = waypointX > 0;
+        }
+        moveBy(step, distanceToWaypoint ? waypointX / distanceToWaypoint : 0, distanceToWaypoint ? waypointY / distanceToWaypoint : 0, Math.min(moveSpeed * dt, distanceToWaypoint));
+    },
+    // Handle asleep state
+    updateAsleep = ({cat, emit, world}, dt) => {
+        cat.sleepTimer += dt;
+        cat.happinessMeter = Math.max(0, cat.happinessMeter - dt);
+        if (cat.sleepTimer >= world.rules.sleepDuration) {
+            cat.state = CAT_STATES.AWAKE;
+            cat.sleepTimer = 0;
+            // Reduce happiness by 10% when waking up from sleep
+            cat.happinessMeter = Math.max(0, cat.happinessMeter * 0.90);
+            // Adjust exhaust meter if waking from sleep
+            cat.exhaustMeter = Math.min(cat.exhaustMeter, 50 * (cat.evolutionLevel + 1));
+            emit('wokeUp');
+        }
+    },
+    // Handle the exhausted and idle states, returns true when the cat stays put
+    updateResting = (step, dt, chase) => {
+        const {cat, emit, world} = step;
+
+        // Check if cat should fall asleep after being idle for too long
+        if (cat.state === CAT_STATES.IDLE && cat.idleTimer >= world.rules.idleToSleepTimeout) {
+            sleep(step, false);
+
+            return true;
+        }
+        // Check if cat should re-engage
+        if (chase.distance < BASE_REENGAGEMENT_DISTANCE * world.grid.tileSize && chase.pointerMoved) {
+            cat.state = CAT_STATES.AWAKE;
+            resetTimers(cat);
+            emit('engaged');
+
+            return false;
+        }
+        // Check if cat should become idle (from exhausted)
+        if ((cat.idleTimer >= IDLE_TIMEOUT || cat.outsideRangeTimer >= IDLE_TIMEOUT) && cat.state !== CAT_STATES.IDLE) {
+            cat.state = CAT_STATES.IDLE;
+            emit('idle');
+        }
+
+        // Handle exhaust meter recovery based on state
+        if (cat.exhaustMeter > 0) {
+            // Recover energy at a faster rate when idle
+            cat.exhaustMeter = recoveryRateCalculation(cat.exhaustMeter, world.rules.recoveryRate, dt, cat.state === CAT_STATES.IDLE ? 1.5 : 1);
+        }
+
+        // Decrease happiness based on state
+        if (cat.state === CAT_STATES.IDLE) {
+            cat.happinessMeter = Math.max(0, cat.happinessMeter - 2 * dt);
+        } else if (cat.state === CAT_STATES.EXHAUSTED) {
+            cat.happinessMeter = Math.max(0, cat.happinessMeter - 4 * dt);
+        }
+
+        // Cat stays in current state
+        return true;
+    },
+    // Move the cat toward the pointer and update the exhaust meter
+    updateChase = (step, dt, chase) => {
+        const
+            {cat, emit, world} = step,
+            activationDistance = BASE_ACTIVATION_DISTANCE * world.grid.tileSize,
+            evolutionSpeedBoost = stages.get(cat.evolutionLevel).speedBoost,
+            // Store previous position to calculate distance moved
+            prevX = cat.x,
+            prevY = cat.y;
+        // Adjust speed based on distance (closer -> faster)
+        let speed = MIN_SPEED;
+
+        if (chase.distance < activationDistance) {
+            // Calculate normalized distance (0 = closest, 1 = farthest)
+            const normalizedDistance = chase.distance / activationDistance;
+
+            /*
+             * Use a non-linear curve for more aggressive acceleration at closer distances
+             * Square the normalized distance to create a steeper curve
+             * This will make the cat accelerate more dramatically as it approaches the pointer
+             */
+            speed = (MIN_SPEED + (MAX_SPEED - MIN_SPEED) * (1 - normalizedDistance * normalizedDistance)) * evolutionSpeedBoost;
+        }
+
+        // Update cat's position and clamp to screen bounds
+        moveBy(step, chase.directionX, chase.directionY, speed * dt);
+
+        // Calculate actual distance moved if cat is not idle or asleep
+        if (cat.state !== CAT_STATES.IDLE && cat.state !== CAT_STATES.ASLEEP) {
+            const distanceMoved = calcDistance(cat.x, cat.y, prevX, prevY);
+
+            /*
+             * Increase exhaust meter based on movement distance
+             * Using a factor to convert pixel distance to exhaust units
+             */
+            cat.exhaustMeter += distanceMoved * EXHAUST_FACTOR;
+
+            // Increase happiness when cat is moving and interacting with the pointer
+            if (chase.pointerMoved && distanceMoved > 0) {
+                cat.happinessMeter = Math.min(100, cat.happinessMeter + 6 * dt);
+            }
+
+            // Check exhaust thresholds
+            if (cat.exhaustMeter >= world.rules.sleepThreshold) {
+                // Start seeking couch instead of immediately sleeping
+                startSeekingCouch(step);
+            } else if (cat.exhaustMeter >= FOOD_THRESHOLD && !world.food.isVisible) {
+                emit('foodRequested');
+            } else if (cat.exhaustMeter >= world.rules.exhaustThreshold && cat.state !== CAT_STATES.EXHAUSTED) {
+                cat.state = CAT_STATES.EXHAUSTED;
+                emit('exhausted');
+            }
+        }
+    };
+
+export default {
+    CAT_STATES,
+    // Create the initial state of a cat at the given position, playing by the given rules
+    create (x, y, rules) {
+        return {
+            // Timer for eating animation
+            eatingSoundTimer: 0,
+            eatingTimer: 0,
+            // Evolution properties
+            evolutionLevel: 0,
+            evolutionTargetTime: stages.get(0).targetTime * rules.evolutionTimeFactor,
+            evolutionTimer: 0,
+            // Exhaust meter (0 to the sleep threshold of the rules)
+            exhaustMeter: 0,
+            // Set initial facing direction (default is left)
+            facingRight: false,
+            // Happiness meter (0 to 100)
+            happinessMeter: 0,
+            // Time counter for idle behavior
+            idleTimer: 0,
+            // Store the last pointer position to detect movement
+            lastPointerX: 0,
+            lastPointerY: 0,
+            // To track if the pointer is outside range
+            outsideRangeTimer: 0,
+            // Sleep timer in seconds
+            sleepTimer: 0,
+            // Current state of the cat
+            state: CAT_STATES.AWAKE,
+            x,
+            y
+        };
+    },
+    // Determine the animation name based on state and direction
+    getAnimation (cat) {
+        let state = cat.state === CAT_STATES.SEEKING_COUCH
+            ? CAT_STATES.EXHAUSTED
+            : cat.state;
+
+        // Add facing direction suffix for awake and exhausted states
+        if (state === CAT_STATES.AWAKE || state === CAT_STATES.EXHAUSTED) {
+            state += cat.facingRight ? 'right' : 'left';
+        }
+
+        return state;
+    },
+    // Get evolution progress as a percentage string
+    getEvolutionPercent (cat) {
+        return cat.evolutionTargetTime > 0
+            // eslint-disable-next-line prefer-template
+            ? Math.min(100, Math.floor((cat.evolutionTimer / cat.evolutionTargetTime) * 100)).toFixed(0) + '%'
+            : '0%';
+    },
+    // Get stamina as a percentage (inverted exhaust meter)
+    getStaminaPercent (cat, rules) {
+        return Math.max(0, (100 - (cat.exhaustMeter / rules.sleepThreshold * 100)));
+    },
+    // Advance the cat by one step within the world geometry (bounds, size, couch, food, collision grid and room), its rules and the rules of the difficulty
+    update (state, input, dt, world) {
+        const
+            cat = {
+                ...state
+            },
+            // Tile the cat sits on
+            cell = pathfinding.cellAt(world.grid, cat),
+            events = [],
+            step = {
+                cat,
+                emit (type, detail = {}) {
+                    events.push({
+                        ...detail,
+                        type
+                    });
+                },
+                world
+            },
+            maxFollowDistance = BASE_MAX_FOLLOW_DISTANCE * world.grid.tileSize,
+            minDistance = BASE_MIN_DISTANCE * world.grid.tileSize,
+            pointerMoved =
+                Math.abs(input.x - cat.lastPointerX) > 0.5 ||
+                Math.abs(input.y - cat.lastPointerY) > 0.5,
+            dx = (input.x / 2) - (cat.x / 2),
+            dy = (input.y / 2) - (cat.y / 2),
+            distance = calcDistance(input.x / 2, input.y / 2, cat.x / 2, cat.y / 2),
+            chase = {
+                // Add safe check for division by zero
+                directionX: distance ? dx / distance : 0,
+                directionY: distance ? dy / distance : 0,
+                distance,
+                pointerMoved
+            },
+            // Check if cat is engaged (in a position where it would move toward the pointer)
+            isEngaged = distance > minDistance && distance < maxFollowDistance &&
+                       cat.state !== CAT_STATES.SEEKING_COUCH &&
+                       cat.state !== CAT_STATES.EATING,
+            isOutsideRange = distance >= maxFollowDistance,
+            result = {
+                events,
+                state: cat
+            };
+
+        // Update the last pointer position
+        cat.lastPointerX = input.x;
+        cat.lastPointerY = input.y;
+
+        // Evolution timer - only increment when happiness is at 100%
+        if (cat.happinessMeter >= 100) {
+            cat.evolutionTimer += dt;
+
+            // Check if evolution criteria is met
+            if (cat.evolutionTimer >= cat.evolutionTargetTime) {
+                evolve(step);
+            }
+        }
+
+        // Update facing direction based on pointer position, the cat seeking the couch faces the way it walks
+        if (dx !== 0 && cat.state !== CAT_STATES.EATING && cat.state !== CAT_STATES.SEEKING_COUCH) {
+            cat.facingRight = dx > 0;
+        }
+
+        // Don't process any other logic while eating, seeking the couch or asleep
+        if (cat.state === CAT_STATES.EATING) {
+            updateEating(step, dt);
+
+            return result;
+        }
+        if (cat.state === CAT_STATES.SEEKING_COUCH) {
+            updateSeekingCouch(step, dt);
+
+            return result;
+        }
+        if (cat.state === CAT_STATES.ASLEEP) {
+            updateAsleep(step, dt);
+
+            return result;
+        }
+
+        // Sitting on a perch of the room cheers the cat up
+        if (rooms.pieceAt(world.room, cell.column, cell.row).isPerch) {
+            cat.happinessMeter = Math.min(100, cat.happinessMeter + PERCH_HAPPINESS * dt);
+        }
+
+        // Check if cat is close to food (when food is visible)
+        if (world.food.isVisible &&
+            calcDistance(world.food.x, world.food.y, cat.x, cat.y) <= BASE_FOOD_THRESHOLD * world.grid.tileSize) {
+            // If cat is close enough to food, start eating
+            startEating(step);
+
+            return result;
+        }
+
+        // Increment idle timers
+        if (!pointerMoved || isOutsideRange) {
+            cat.idleTimer += dt;
+            if (isOutsideRange) {
+                cat.outsideRangeTimer += dt;
+            } else {
+                cat.outsideRangeTimer = 0;
+            }
+        } else if (isEngaged) {
+            // Only reset timers if the cat is actually engaged with the pointer
+            resetTimers(cat);
+        }
+
+        // If exhausted or idle, require very close proximity to re-engage
+        if ((cat.state === CAT_STATES.EXHAUSTED || cat.state === CAT_STATES.IDLE) && updateResting(step, dt, chase)) {
+            return result;
+        }
+
+        // Check if cat should become idle
+        if (cat.idleTimer >= IDLE_TIMEOUT || cat.outsideRangeTimer >= IDLE_TIMEOUT) {
+            cat.state = CAT_STATES.IDLE;
+            step.emit('idle');
+
+            return result;
+        }
+
+        // Only move if we're far enough from the pointer BUT not too far
+        if (isEngaged) {
+            updateChase(step, dt, chase);
+        }
+        // When close to pointer or too far, do nothing - stay at current position
+
+        // Gradually reduce exhaust meter when not moving (only when not sleeping)
+        if (cat.state !== CAT_STATES.ASLEEP && cat.exhaustMeter > 0) {
+            // Recover energy at a slow rate when not moving
+            cat.exhaustMeter = recoveryRateCalculation(cat.exhaustMeter, world.rules.recoveryRate, dt);
+        }
+
+        return result;
+    }
+};
@@ -0,0 +1,100 @@
+/* eslint-disable no-extra-parens */
+/* global localStorage */
+// Input actions and the keys they are bound to, which players can rebind and are kept in localStorage
+const
+    // Actions in the order they are listed on the controls scene
+    ACTIONS = [
+        'confirm',
+        'pause',
+        'mute',
+        'skip',
+        'restart',
+        'up',
+        'down',
+        'left',
+        'right',
+        'continue',
+        'difficulty',
+        'edit',
+        'settings',
+        'watch',
+        'download'
+    ],
+    // Keys every action is bound to until it is rebound
+    DEFAULT_BINDINGS = {
+        confirm: ['Enter'],
+        continue: ['c'],
+        difficulty: ['p'],
+        down: ['ArrowDown', 's'],
+        download: ['v'],
+        edit: ['e'],
+        left: ['ArrowLeft', 'a'],
+        mute: ['m'],
+        pause: ['Escape'],
+        restart: ['Backspace'],
+        right: ['ArrowRight', 'd'],
+        settings: ['k'],
+        skip: [' '],
+        up: ['ArrowUp', 'w'],
+        watch: ['r']
+    },
+    // Actions that only work on the intro, listed last
+    INTRO_ACTIONS = ACTIONS.slice(ACTIONS.indexOf('continue')),
+    // Names of the keys that do not show well as they are
+    KEY_NAMES = {
+        ' ': 'SPACE',
+        ArrowDown: '↓',
+        ArrowLeft: '←',
+        ArrowRight: '→',
+        ArrowUp: '↑',
+        Escape: 'ESC'
+    },
+    // Storage key of the bindings
+    STORAGE_KEY = 'ootcdControls',
+    // Key name of a keyboard event, letters are the same with or without shift
+    normalize = (key) => (key.length === 1 ? key.toLowerCase() : key),
+    // Take a key away from every action
+    unbind = (bindings, key) => {
+        ACTIONS.forEach((action) => {
+            bindings[action] = bindings[action].filter((bound) => bound !== key);
+        });
+    };
+
+export default {
+    ACTIONS,
+    INTRO_ACTIONS,
+    // Action a key is bound to, or null
+    actionOf (bindings, key) {
+        return ACTIONS.find((action) => bindings[action].includes(normalize(key))) || null;
+    },
+    // Bind a key to an action, taking it away from any other action
+    bind (bindings, action, key) {
+        unbind(bindings, normalize(key));
+        bindings[action] = [normalize(key)];
+    },
+    // Whether any key of an action is held down
+    isHeld (bindings, action, heldKeys) {
+        return bindings[action].some((key) => heldKeys.has(key));
+    },
+    // Readable list of the keys of an action
+    keysOf (bindings, action) {
+        return bindings[action].map((key) => KEY_NAMES[key] || key.toUpperCase()).join(' ') || '-';
+    },
+    // Load the bindings, with the default ones for actions not rebound yet
+    load () {
+        return {
+            ...DEFAULT_BINDINGS,
+            ...JSON.parse(localStorage.getItem(STORAGE_KEY))
+        };
+    },
+    normalize,
+    // Bind an action to its default keys again, taking them away from any other action
+    reset (bindings, action) {
+        DEFAULT_BINDINGS[action].forEach((key) => unbind(bindings, key));
+        bindings[action] = [...DEFAULT_BINDINGS[action]];
+    },
+    // Save the bindings
+    save (bindings) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+    }
+};
@@ -0,0 +1,75 @@
+/* eslint-disable no-mixed-operators */
+// Ghost of the best run, the trajectory of the cat sampled in world units and its evolution times, to race against
+import catBrain from './catBrain.js';
+
+const
+    // Animations a ghost frame can show, stored by index
+    ANIMATIONS = [
+        'asleep',
+        'awakeleft',
+        'awakeright',
+        'eating',
+        'exhaustedleft',
+        'exhaustedright',
+        'idle'
+    ],
+    // Seconds between two frames
+    INTERVAL = 0.1,
+    // Format version of the ghosts, ghosts recorded before it in screen pixels are dropped
+    VERSION = 1,
+    // Linear interpolation between two values
+    lerp = (a, b, t) => a + (b - a) * t,
+    // Round a coordinate to a tenth of a pixel to keep the ghost small
+    round = (value) => Math.round(value * 10) / 10;
+
+export default {
+    VERSION,
+    // Start recording the ghost of a run, or continue the recording of an unfinished one
+    createRecorder (unfinished = null) {
+        const
+            evolutions = unfinished ? unfinished.evolutions : [],
+            frames = unfinished ? unfinished.frames : [];
+
+        return {
+            // Finish the recording and return the ghost
+            finish () {
+                return {
+                    evolutions,
+                    frames,
+                    interval: INTERVAL,
+                    version: VERSION
+                };
+            },
+            // Record the simulation after a step
+            record (sim) {
+                const {cat} = sim;
+
+                if (cat.evolutionLevel > evolutions.length) {
+                    evolutions.push(sim.gameTime);
+                }
+                while (frames.length / 3 * INTERVAL <= sim.gameTime) {
+                    frames.push(round(cat.x), round(cat.y), ANIMATIONS.indexOf(catBrain.getAnimation(cat)));
+                }
+            }
+        };
+    },
+    // Where the ghost is at a game time, or null once its run is over
+    frameAt (ghost, time) {
+        const
+            exact = time / ghost.interval,
+            index = Math.floor(exact) * 3,
+            next = index + 3,
+            progress = exact % 1;
+
+        if (next >= ghost.frames.length) {
+            return null;
+        }
+
+        return {
+            animation: ANIMATIONS[ghost.frames[index + 2]],
+            level: ghost.evolutions.filter((evolution) => evolution <= time).length,
+            x: lerp(ghost.frames[index], ghost.frames[next], progress),
+            y: lerp(ghost.frames[index + 1], ghost.frames[next + 1], progress)
+        };
+    }
+};
@@ -0,0 +1,128 @@
+/* eslint-disable no-mixed-operators */
+/* global localStorage */
+// Audio mixer with buses for the music and the sound effects, whose volumes and mute are kept in localStorage
+import audio from './zzFx.js';
+
+const
+    // Seconds a sound takes to fade in or out
+    FADE_TIME = 0.4,
+    // Storage key of the mixer settings
+    STORAGE_KEY = 'ootcdMixer',
+    // Range and step of the volume of a bus
+    VOLUME = {
+        max: 1,
+        min: 0,
+        step: 0.1
+    },
+    // Seconds a volume change takes, short enough to feel instant without clicks
+    VOLUME_TIME = 0.02,
+    // Audio context shared with ZzFX
+    context = audio.zzfxX,
+    // Glide a gain to a value
+    glide = (gain, value, time) => {
+        gain.cancelScheduledValues(context.currentTime);
+        gain.setValueAtTime(gain.value, context.currentTime);
+        gain.linearRampToValueAtTime(value, context.currentTime + time);
+    },
+    // Master bus, every other bus feeds it
+    master = context.createGain(),
+    // Buses of the music and the sound effects
+    mixBuses = {
+        music: context.createGain(),
+        sfx: context.createGain()
+    },
+    // Volumes and mute, with the defaults for the ones not saved yet
+    state = {
+        muted: false,
+        volumes: {
+            music: 1,
+            sfx: 1
+        },
+        ...JSON.parse(localStorage.getItem(STORAGE_KEY))
+    },
+    // Apply the volumes and mute to the buses and save them
+    update = () => {
+        glide(master.gain, state.muted ? 0 : 1, VOLUME_TIME);
+        Object.keys(mixBuses).forEach((bus) => glide(mixBuses[bus].gain, state.volumes[bus], VOLUME_TIME));
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    };
+
+master.connect(context.destination);
+Object.values(mixBuses).forEach((bus) => bus.connect(master));
+update();
+
+export default {
+    // Change the volume of a bus by a number of steps within its range
+    adjust (bus, steps) {
+        state.volumes[bus] = Math.round(Math.max(VOLUME.min, Math.min(VOLUME.max, state.volumes[bus] + steps * VOLUME.step)) * 10) / 10;
+        update();
+    },
+    // Audio buffer holding channels of samples, to be played as many times as needed
+    buffer (channels) {
+        const buffer = context.createBuffer(channels.length, channels[0].length, audio.zzfxR);
+
+        channels.forEach((channel, index) => buffer.getChannelData(index).set(channel));
+
+        return buffer;
+    },
+    // Whether the audio is muted
+    isMuted () {
+        return state.muted;
+    },
+    // Play a buffer on a bus at a volume and stereo pan from an offset in seconds, faded in when asked to, returning a handle to control it
+    play (bus, buffer, options = {}) {
+        const
+            fade = context.createGain(),
+            panner = context.createStereoPanner(),
+            source = context.createBufferSource(),
+            // Playback position, which advances at the playback rate
+            track = {
+                offset: options.offset || 0,
+                rate: 1,
+                since: context.currentTime
+            };
+
+        source.buffer = buffer;
+        source.loop = Boolean(options.loop);
+        // Pan from -1 on the left to 1 on the right
+        panner.pan.value = Math.max(-1, Math.min(1, options.pan || 0));
+        source.connect(fade).connect(panner).connect(mixBuses[bus]);
+        fade.gain.value = options.fadeIn ? 0 : options.volume ?? 1;
+        if (options.fadeIn) {
+            glide(fade.gain, options.volume ?? 1, FADE_TIME);
+        }
+        source.start(0, track.offset % buffer.duration);
+
+        return {
+            // Fade to another volume
+            fade (volume) {
+                glide(fade.gain, volume, FADE_TIME);
+            },
+            // Position in seconds within the buffer
+            position () {
+                return (track.offset + (context.currentTime - track.since) * track.rate) % buffer.duration;
+            },
+            // Change the playback rate, which changes the pitch along with the tempo
+            rate (rate) {
+                track.offset += (context.currentTime - track.since) * track.rate;
+                track.rate = rate;
+                track.since = context.currentTime;
+                source.playbackRate.setValueAtTime(rate, context.currentTime);
+            },
+            // Fade out and stop
+            stop () {
+                glide(fade.gain, 0, FADE_TIME);
+                source.stop(context.currentTime + FADE_TIME);
+            }
+        };
+    },
+    // Mute or unmute the audio
+    toggleMute () {
+        state.muted = !state.muted;
+        update();
+    },
+    // Volume of a bus
+    volume (bus) {
+        return state.volumes[bus];
+    }
+};
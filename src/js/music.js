@@ -0,0 +1,138 @@
+/* eslint-disable no-extra-parens, no-mixed-operators */
+/* global URL, Worker */
+// Adaptive music, arranged per stage with a calm layer, whose playback rate rises with the happiness of the cat
+import audio from './zzFx.js';
+import catBrain from './catBrain.js';
+import mixer from './mixer.js';
+import stages from './stages.js';
+
+const
+    // Instruments of the calm layer, the flute and the piano, whatever the stage
+    CALM_INSTRUMENTS = [1, 6],
+    // States of the cat during which the calm layer plays
+    CALM_STATES = [catBrain.CAT_STATES.ASLEEP, catBrain.CAT_STATES.EATING],
+    // Playback rate at full happiness, faster and a bit over a semitone higher
+    MAX_PLAYBACK_RATE = 1.08,
+    // Song data with the other instruments silenced and every instrument transposed
+    arrange = (instruments, transpose) => {
+        const
+            [sounds, patterns, sequence, bpm] = audio.song,
+            // The notes of a channel follow its instrument and panning
+            silenced = patterns.map((pattern) => pattern.map((channel) => (instruments.includes(channel[0] || 0)
+                ? channel
+                : channel.map((note, index) => (index < 2 ? note : 0))))),
+            // The frequency of a sound comes third
+            transposed = sounds.map((sound) => sound.map((value, index) => (index === 2 ? value * 2 ** (transpose / 12) : value)));
+
+        return [transposed, silenced, sequence, bpm];
+    },
+    // Layers of the stage levels asked for, as promises of audio buffers
+    buffers = {},
+    // Worker rendering the arrangements
+    musicWorker = new Worker(new URL('./musicWorker.js', import.meta.url), {
+        type: 'module'
+    }),
+    // Callbacks waiting for the worker, which renders in order
+    pending = [],
+    // Render an arrangement in the worker into channels of samples
+    renderSong = (song) => new Promise((resolve) => {
+        pending.push(resolve);
+        musicWorker.postMessage(song);
+    }),
+    // Render both layers of a stage level once, into audio buffers
+    renderStage = (level) => {
+        const {instruments, transpose} = stages.get(level).music;
+
+        if (!buffers[level]) {
+            buffers[level] = Promise.all([renderSong(arrange(instruments, transpose)), renderSong(arrange(CALM_INSTRUMENTS, transpose))]).
+                then(([main, calm]) => ({
+                    calm: mixer.buffer(calm),
+                    main: mixer.buffer(main)
+                }));
+        }
+
+        return buffers[level];
+    };
+
+let
+    // Handles of the playing layers, null while stopped
+    layers = null,
+    // Position in seconds the music was stopped at, every arrangement has the same timing so it carries over
+    position = 0,
+    // Stage level that should be playing, null while stopped
+    wanted = null;
+
+musicWorker.onmessage = (event) => pending.shift()(event.data);
+
+export default {
+    // Play the arrangement of a stage from where the music was stopped, switching to it when another one is playing
+    play (level) {
+        if (wanted === level) {
+            return;
+        }
+        this.stop();
+        wanted = level;
+        // Keep the arrangements of the first, current and next stage
+        Object.keys(buffers).
+            filter((key) => ![0, level, level + 1].includes(Number(key))).
+            forEach((key) => delete buffers[key]);
+        renderStage(level).then((buffer) => {
+            // The music may have been stopped or switched while rendering
+            if (wanted !== level || layers) {
+                return;
+            }
+            layers = {
+                calm: mixer.play('music', buffer.calm, {
+                    loop: true,
+                    offset: position,
+                    volume: 0
+                }),
+                isCalm: false,
+                main: mixer.play('music', buffer.main, {
+                    fadeIn: true,
+                    loop: true,
+                    offset: position
+                }),
+                rate: 1
+            };
+        });
+        if (level < stages.evolutions()) {
+            renderStage(level + 1);
+        }
+    },
+    // Render the arrangement of a stage ahead of time
+    prepare (level) {
+        renderStage(level);
+    },
+    // Play from the start next time
+    rewind () {
+        position = 0;
+    },
+    // Fade the music out, remembering where it was
+    stop () {
+        wanted = null;
+        if (layers) {
+            position = layers.main.position();
+            layers.calm.stop();
+            layers.main.stop();
+            layers = null;
+        }
+    },
+    // Follow the cat, crossfading to the calm layer while it rests and raising the playback rate with its happiness
+    update (cat) {
+        const
+            isCalm = CALM_STATES.includes(cat.state),
+            rate = Math.round((1 + (MAX_PLAYBACK_RATE - 1) * cat.happinessMeter / 100) * 100) / 100;
+
+        if (layers && layers.isCalm !== isCalm) {
+            layers.isCalm = isCalm;
+            layers.calm.fade(isCalm ? 1 : 0);
+            layers.main.fade(isCalm ? 0 : 1);
+        }
+        if (layers && layers.rate !== rate) {
+            layers.rate = rate;
+            layers.calm.rate(rate);
+            layers.main.rate(rate);
+        }
+    }
+};
@@ -0,0 +1,10 @@
+/* global self */
+// Worker rendering music arrangements, which would block the game for seconds
+import audio from './zzFx.js';
+
+self.onmessage = (event) => {
+    const channels = audio.zzfxM(...event.data).map((channel) => new Float32Array(channel));
+
+    // Transfer the samples instead of copying them
+    self.postMessage(channels, channels.map((channel) => channel.buffer));
+};
@@ -0,0 +1,90 @@
+/* global document */
+// Colour palettes of the laser, scenes, meters, splits and storm sky with its softened lightning, colour-blind and high contrast ones included
+const
+    // Colours of every palette
+    PALETTES = {
+        contrast: {
+            ahead: '#FFF',
+            behind: '#FF0',
+            glow: '#66F',
+            happiness: '#000',
+            laser: '#00F',
+            scene: '#000',
+            sceneText: '#FF0',
+            stamina: '#00F',
+            storm: '#003'
+        },
+        default: {
+            ahead: '#0F0',
+            behind: '#F00',
+            glow: '#225',
+            happiness: '#F00',
+            laser: null,
+            scene: '#F00',
+            sceneText: '#FFF',
+            stamina: '#50B',
+            storm: '#000'
+        },
+        deuteranopia: {
+            ahead: '#56B4E9',
+            behind: '#E69F00',
+            glow: '#2A5A8C',
+            happiness: '#E69F00',
+            laser: '#0072B2',
+            scene: '#0072B2',
+            sceneText: '#FFF',
+            stamina: '#56B4E9',
+            storm: '#0A1E3C'
+        },
+        protanopia: {
+            ahead: '#56B4E9',
+            behind: '#F0E442',
+            glow: '#3C3C78',
+            happiness: '#E69F00',
+            laser: '#0072B2',
+            scene: '#0072B2',
+            sceneText: '#FFF',
+            stamina: '#0072B2',
+            storm: '#14142B'
+        },
+        tritanopia: {
+            ahead: '#009E73',
+            behind: '#D55E00',
+            glow: '#5A2828',
+            happiness: '#D55E00',
+            laser: '#D55E00',
+            scene: '#D55E00',
+            sceneText: '#FFF',
+            stamina: '#009E73',
+            storm: '#1E0A0A'
+        }
+    },
+    // Order in which the palettes are cycled through
+    PALETTE_NAMES = ['default', 'deuteranopia', 'protanopia', 'tritanopia', 'contrast'];
+
+export default {
+    PALETTE_NAMES,
+    // Colours of a palette, the original ones for an unknown name
+    get (name) {
+        return PALETTES[name] || PALETTES.default;
+    },
+    // Name of the palette after another one
+    next (name) {
+        return PALETTE_NAMES[(PALETTE_NAMES.indexOf(name) + 1) % PALETTE_NAMES.length];
+    },
+    // Image tinted with a colour, keeping its transparency
+    tint (image, color) {
+        const
+            canvas = document.createElement('canvas'),
+            context = canvas.getContext('2d');
+
+        canvas.width = image.width;
+        canvas.height = image.height;
+        context.drawImage(image, 0, 0);
+        context.globalCompositeOperation = 'source-atop';
+        context.fillStyle = color;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        return canvas;
+    }
+};
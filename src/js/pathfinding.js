@@ -0,0 +1,184 @@
+/* eslint-disable no-extra-parens, no-mixed-operators */
+// DOM-free collision grid of the level, a cell per tile, and A* paths across it
+const
+    // Margin keeping rectangles that only touch a cell from overlapping it
+    EPSILON = 1e-6,
+    // Column and row steps to the neighbouring cells
+    STEPS = [
+        [1, 0],
+        [-1, 0],
+        [0, 1],
+        [0, -1],
+        [1, 1],
+        [1, -1],
+        [-1, 1],
+        [-1, -1]
+    ],
+    // Index of a cell in the grid
+    indexOf = (grid, column, row) => row * grid.columns + column,
+    // Whether a cell is outside the grid or blocked
+    isBlocked = (grid, column, row) => column < 0 || row < 0 || column >= grid.columns || row >= grid.rows || grid.blocked[indexOf(grid, column, row)],
+    // Cost of the shortest path between two cells without obstacles
+    octile = (a, b) => {
+        const
+            columns = Math.abs(a.column - b.column),
+            rows = Math.abs(a.row - b.row);
+
+        return Math.max(columns, rows) + (Math.SQRT2 - 1) * Math.min(columns, rows);
+    },
+    // Paths already found on a grid, by their start and goal cells, forgotten when the grid changes
+    paths = new WeakMap(),
+    // A* search of the path from a cell to the nearest of the goal cells
+    search = (grid, start, goals) => {
+        const
+            // Cheapest known cost of reaching a cell
+            costs = new Map([[indexOf(grid, start.column, start.row), 0]]),
+            // Cost of reaching the nearest goal from a cell without obstacles
+            estimate = (cell) => Math.min(...goals.map((goal) => octile(cell, goal))),
+            goalIndexes = new Set(goals.map((goal) => indexOf(grid, goal.column, goal.row))),
+            // Cells to explore, each with the cell it is reached from
+            open = [
+                {
+                    column: start.column,
+                    cost: 0,
+                    from: null,
+                    row: start.row,
+                    score: estimate(start)
+                }
+            ];
+
+        while (open.length) {
+            // Explore the most promising cell, the first one found on ties
+            const node = open.reduce((best, candidate) => (candidate.score < best.score ? candidate : best));
+
+            open.splice(open.indexOf(node), 1);
+            if (goalIndexes.has(indexOf(grid, node.column, node.row))) {
+                const path = [];
+
+                for (let cell = node; cell; cell = cell.from) {
+                    path.unshift({
+                        column: cell.column,
+                        row: cell.row
+                    });
+                }
+
+                return path;
+            }
+            STEPS.forEach(([columnStep, rowStep]) => {
+                const
+                    column = node.column + columnStep,
+                    cost = node.cost + (columnStep && rowStep ? Math.SQRT2 : 1),
+                    row = node.row + rowStep;
+
+                if (isBlocked(grid, column, row) || cost >= (costs.get(indexOf(grid, column, row)) ?? Infinity)) {
+                    return;
+                }
+                // Diagonal steps need both cells beside them free
+                if (columnStep && rowStep && (isBlocked(grid, column, node.row) || isBlocked(grid, node.column, row))) {
+                    return;
+                }
+                costs.set(indexOf(grid, column, row), cost);
+                open.push({
+                    column,
+                    cost,
+                    from: node,
+                    row,
+                    score: cost + estimate({
+                        column,
+                        row
+                    })
+                });
+            });
+        }
+
+        return null;
+    },
+    // First and last columns and rows of the cells a rectangle overlaps
+    spanOf = (grid, rect) => ({
+        bottom: Math.floor((rect.y + rect.height - EPSILON) / grid.tileSize),
+        left: Math.floor((rect.x + EPSILON) / grid.tileSize),
+        right: Math.floor((rect.x + rect.width - EPSILON) / grid.tileSize),
+        top: Math.floor((rect.y + EPSILON) / grid.tileSize)
+    });
+
+export default {
+    // Free cells right next to a rectangle, from where it can be reached
+    around (grid, rect) {
+        const
+            cells = [],
+            span = spanOf(grid, rect);
+
+        for (let row = span.top - 1; row <= span.bottom + 1; row += 1) {
+            for (let column = span.left - 1; column <= span.right + 1; column += 1) {
+                const
+                    isOutsideColumns = column < span.left || column > span.right,
+                    isOutsideRows = row < span.top || row > span.bottom;
+
+                // Only the cells on the sides, not the corners or the rectangle itself
+                if (isOutsideColumns !== isOutsideRows && !isBlocked(grid, column, row)) {
+                    cells.push({
+                        column,
+                        row
+                    });
+                }
+            }
+        }
+
+        return cells;
+    },
+    // Block the cells a rectangle overlaps
+    block (grid, rect) {
+        const span = spanOf(grid, rect);
+
+        paths.delete(grid);
+
+        for (let row = Math.max(0, span.top); row <= Math.min(grid.rows - 1, span.bottom); row += 1) {
+            for (let column = Math.max(0, span.left); column <= Math.min(grid.columns - 1, span.right); column += 1) {
+                grid.blocked[indexOf(grid, column, row)] = true;
+            }
+        }
+    },
+    // Cell with its top left corner nearest to a position
+    cellAt (grid, position) {
+        return {
+            column: Math.max(0, Math.min(grid.columns - 1, Math.round(position.x / grid.tileSize))),
+            row: Math.max(0, Math.min(grid.rows - 1, Math.round(position.y / grid.tileSize)))
+        };
+    },
+    // Empty grid of columns and rows of tiles of a size in pixels
+    create (columns, rows, tileSize) {
+        return {
+            blocked: new Array(columns * rows).fill(false),
+            columns,
+            rows,
+            tileSize
+        };
+    },
+    // Cells from a cell to the nearest of the goal cells, or null when none can be reached, the start may be blocked
+    findPath (grid, start, goals) {
+        const key = [start.column, start.row, ...goals.flatMap(({column, row}) => [column, row])].join();
+
+        if (!paths.has(grid)) {
+            paths.set(grid, new Map());
+        }
+        if (!paths.get(grid).has(key)) {
+            paths.get(grid).set(key, search(grid, start, goals));
+        }
+
+        return paths.get(grid).get(key);
+    },
+    // Whether a rectangle overlaps a blocked cell
+    overlaps (grid, rect) {
+        const span = spanOf(grid, rect);
+
+        for (let row = Math.max(0, span.top); row <= Math.min(grid.rows - 1, span.bottom); row += 1) {
+            for (let column = Math.max(0, span.left); column <= Math.min(grid.columns - 1, span.right); column += 1) {
+                if (grid.blocked[indexOf(grid, column, row)]) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+};
@@ -0,0 +1,39 @@
+// DOM-free placement of furniture on free spots of a grid, keeping as many of its rules as it can
+import pathfinding from './pathfinding.js';
+
+export default {
+    // Random one of the spots keeping the most rules in order, null when there are no spots
+    pick (spots, rules, random) {
+        for (let count = rules.length; count >= 0; count -= 1) {
+            const passing = spots.filter((spot) => rules.slice(0, count).every((rule) => rule(spot)));
+
+            if (passing.length) {
+                return passing[Math.floor(random.next() * passing.length)];
+            }
+        }
+
+        return null;
+    },
+    // Top left cells where something of a number of columns and rows fits inside a grid without overlapping its blocked cells
+    spots (grid, size) {
+        const spots = [];
+
+        for (let row = 0; row <= grid.rows - size.rows; row += 1) {
+            for (let column = 0; column <= grid.columns - size.columns; column += 1) {
+                if (!pathfinding.overlaps(grid, {
+                    height: size.rows * grid.tileSize,
+                    width: size.columns * grid.tileSize,
+                    x: column * grid.tileSize,
+                    y: row * grid.tileSize
+                })) {
+                    spots.push({
+                        column,
+                        row
+                    });
+                }
+            }
+        }
+
+        return spots;
+    }
+};
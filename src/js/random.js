@@ -0,0 +1,26 @@
+/* eslint-disable no-bitwise, no-mixed-operators */
+// Seeded pseudo random number generator (mulberry32), so runs can be reproduced from their seed
+export default (seed) => {
+    let state = seed >>> 0;
+
+    return {
+        // Next number in the range [0, 1)
+        next () {
+            state = state + 0x6D2B79F5 >>> 0;
+
+            let value = Math.imul(state ^ state >>> 15, state | 1);
+
+            value ^= value + Math.imul(value ^ value >>> 7, value | 61);
+
+            return ((value ^ value >>> 14) >>> 0) / 4294967296;
+        },
+        // Next number in the range [min, max)
+        range (min, max) {
+            return min + this.next() * (max - min);
+        },
+        // Internal state, which can be used as a seed to resume the sequence
+        state () {
+            return state;
+        }
+    };
+};
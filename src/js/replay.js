@@ -0,0 +1,163 @@
+// Recording, playback and verification of runs, the pointer input stored as run-length encoded deltas
+import settings from './settings.js';
+import simulation from './simulation.js';
+
+const
+    // Actions of the keys recorded before keys could be rebound
+    KEY_ACTIONS = {
+        Enter: 'confirm',
+        Escape: 'pause',
+        m: 'mute'
+    },
+    // Format version of the replay files, runs recorded in screen pixels, with zoom factor events, play out differently
+    VERSION = 5,
+    // Whether the rules of a difficulty are those of its preset, any rules being allowed for the custom preset only
+    hasPresetRules = ({preset, rules}) => settings.PRESET_NAMES.includes(preset) &&
+        Object.keys(settings.RULES).every((rule) => typeof rules[rule] === 'number' &&
+            (preset === settings.CUSTOM || rules[rule] === settings.PRESETS[preset][rule])),
+    // Whether a replay is of the current version and holds everything a run is played back from
+    isPlayable = (replay) => {
+        const counts = replay && Array.isArray(replay.pointer) ? replay.pointer.filter((value, index) => index % 3 === 2) : [];
+
+        return Boolean(replay) && replay.version === VERSION && Number.isInteger(replay.seed) && Number.isInteger(replay.ticks) &&
+            typeof replay.time === 'number' && Boolean(replay.difficulty) && Boolean(replay.difficulty.rules) && hasPresetRules(replay.difficulty) &&
+            Array.isArray(replay.pointer) && replay.pointer.length % 3 === 0 && replay.pointer.every(Number.isFinite) &&
+            counts.every((count) => Number.isInteger(count) && count > 0) && counts.reduce((sum, count) => sum + count, 0) === replay.ticks &&
+            Array.isArray(replay.events) && replay.events.every((event) => Array.isArray(event) && Number.isInteger(event[0]));
+    };
+
+export default {
+    VERSION,
+    // Play back a replay one tick at a time
+    createPlayer (replay) {
+        let
+            eventIndex = 0,
+            pointerIndex = 0,
+            remaining = replay.pointer[2] || 0,
+            tick = 0,
+            x = 0,
+            y = 0;
+
+        return {
+            // Whether every recorded tick has been played
+            isFinished () {
+                return tick >= replay.ticks;
+            },
+            // The input of the next tick
+            next () {
+                if (!remaining) {
+                    pointerIndex += 3;
+                    remaining = replay.pointer[pointerIndex + 2];
+                }
+                remaining -= 1;
+                x += replay.pointer[pointerIndex];
+                y += replay.pointer[pointerIndex + 1];
+                tick += 1;
+
+                return {
+                    x,
+                    y
+                };
+            },
+            // The next recorded event due at the current tick, or null
+            nextEvent () {
+                const event = replay.events[eventIndex];
+
+                if (!event || event[0] > tick) {
+                    return null;
+                }
+                eventIndex += 1;
+
+                return {
+                    type: KEY_ACTIONS[event[1]] || event[1],
+                    value: event[2]
+                };
+            }
+        };
+    },
+    // Start recording the run of a simulation, or continue recording an unfinished one
+    createRecorder (sim, unfinished = null) {
+        const
+            {difficulty, seed} = unfinished || sim,
+            events = unfinished ? unfinished.events : [],
+            pointer = unfinished ? unfinished.pointer : [];
+        let
+            lastX = 0,
+            lastY = 0,
+            tick = unfinished ? unfinished.ticks : 0;
+
+        // Sum up the recorded deltas to know where the pointer was last
+        for (let index = 0; index < pointer.length; index += 3) {
+            lastX += pointer[index] * pointer[index + 2];
+            lastY += pointer[index + 1] * pointer[index + 2];
+        }
+
+        return {
+            // Record an input action at the current tick
+            action (action) {
+                events.push([tick, action]);
+            },
+            // Finish the recording and return the replay of the run
+            finish (time) {
+                return {
+                    difficulty,
+                    events,
+                    pointer,
+                    seed,
+                    ticks: tick,
+                    time,
+                    version: VERSION
+                };
+            },
+            // Record the pointer input of a tick
+            record (input) {
+                const
+                    dx = input.x - lastX,
+                    dy = input.y - lastY,
+                    last = pointer.length - 3;
+
+                if (last >= 0 && pointer[last] === dx && pointer[last + 1] === dy) {
+                    pointer[last + 2] += 1;
+                } else {
+                    pointer.push(dx, dy, 1);
+                }
+                lastX = input.x;
+                lastY = input.y;
+                tick += 1;
+            }
+        };
+    },
+    // Replay a run headlessly and check that it ascends at the recorded time, rejecting replays of other versions, missing data or rules other than their preset's
+    verify (replay) {
+        if (!isPlayable(replay)) {
+            return {
+                time: 0,
+                valid: false
+            };
+        }
+
+        const
+            player = this.createPlayer(replay),
+            sim = simulation.create(replay.seed, replay.difficulty);
+
+        while (!player.isFinished()) {
+            let event = player.nextEvent();
+
+            // Actions just pause and resume the simulation
+            while (event) {
+                event = player.nextEvent();
+            }
+            if (simulation.step(sim, player.next()).some((stepEvent) => stepEvent.ascended)) {
+                return {
+                    time: sim.gameTime,
+                    valid: player.isFinished() && sim.gameTime === replay.time
+                };
+            }
+        }
+
+        return {
+            time: sim.gameTime,
+            valid: false
+        };
+    }
+};
@@ -0,0 +1,69 @@
+// Room layouts of the stages, tilemaps loaded from data/rooms.json and authored with tools/rooms.html
+const
+    // Key of every piece in the tilemap
+    KEYS = {
+        '.': 'floor',
+        r: 'rug',
+        s: 'shelf',
+        t: 'tree',
+        w: 'window'
+    },
+    // What every piece does, the tree and the window sill are perches
+    PIECES = {
+        floor: {
+            isBlocking: false,
+            isClear: true,
+            isPerch: false
+        },
+        rug: {
+            isBlocking: false,
+            isClear: true,
+            isPerch: false
+        },
+        shelf: {
+            isBlocking: true,
+            isClear: false,
+            isPerch: false
+        },
+        tree: {
+            isBlocking: false,
+            isClear: false,
+            isPerch: true
+        },
+        window: {
+            isBlocking: false,
+            isClear: false,
+            isPerch: true
+        }
+    };
+
+let definitions = {};
+
+export default {
+    KEYS,
+    PIECES,
+    // Every tile of a room that is not floor, with its column, row and piece name
+    cells (room) {
+        return room.tiles.flatMap((line, row) => [...line].map((key, column) => ({
+            column,
+            name: KEYS[key],
+            row
+        }))).filter(({name}) => name !== 'floor');
+    },
+    // Use a list of room layouts
+    define (list) {
+        definitions = Object.fromEntries(list.map((room) => [room.name, room]));
+    },
+    // Room layout by name
+    get (name) {
+        return definitions[name];
+    },
+    // Piece of a room at a tile, floor outside the tilemap
+    pieceAt (room, column, row) {
+        return PIECES[KEYS[(room.tiles[row] || '')[column]] || 'floor'];
+    },
+    // Rules of a difficulty scaled by the factors of a room
+    rules (room, rules) {
+        return Object.fromEntries(Object.entries(rules).map(([rule, value]) => [rule, value * ((room.rules || {})[rule] ?? 1)]));
+    }
+};
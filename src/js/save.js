@@ -0,0 +1,83 @@
+/* global localStorage */
+// Save game of the run in progress, migrated from older versions when loaded
+import settings from './settings.js';
+import simulation from './simulation.js';
+
+const
+    // Upgrade a save of the version it is keyed by to the next version
+    MIGRATIONS = {
+        // Runs saved in the first version were played on normal in screen pixels under other rules, their replay and ghost no longer verify
+        1: (data) => {
+            const
+                {zoom, ...sim} = data.sim,
+                // Tiles are 32 pixels at a zoom factor of 1
+                tileSize = 32 * zoom,
+                // Furniture stands on whole tiles of the world
+                toTile = (object) => {
+                    const
+                        column = Math.round(object.x / tileSize),
+                        row = Math.round(object.y / tileSize);
+
+                    return {
+                        ...object,
+                        column,
+                        row,
+                        x: column * simulation.TILE_SIZE,
+                        y: row * simulation.TILE_SIZE
+                    };
+                };
+
+            // The run goes on unranked
+            return {
+                ...data,
+                ghost: null,
+                replay: null,
+                sim: {
+                    ...sim,
+                    cat: {
+                        ...sim.cat,
+                        lastPointerX: sim.cat.lastPointerX / zoom,
+                        lastPointerY: sim.cat.lastPointerY / zoom,
+                        x: sim.cat.x / zoom,
+                        y: sim.cat.y / zoom
+                    },
+                    couch: toTile(sim.couch),
+                    difficulty: settings.difficulty({
+                        preset: settings.NORMAL
+                    }),
+                    food: toTile(sim.food)
+                },
+                unranked: true,
+                version: 2
+            };
+        }
+    },
+    // Storage key of the save
+    STORAGE_KEY = 'ootcdSave',
+    // Current schema version of the saves
+    VERSION = 2;
+
+export default {
+    VERSION,
+    // Remove the save, once the run is over
+    clear () {
+        localStorage.removeItem(STORAGE_KEY);
+    },
+    // Load the save migrated to the current version, or null without a usable one
+    load () {
+        let data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+
+        while (data && data.version < VERSION && MIGRATIONS[data.version]) {
+            data = MIGRATIONS[data.version](data);
+        }
+
+        return data && data.version === VERSION ? data : null;
+    },
+    // Save the run in progress
+    save (data) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({
+            ...data,
+            version: VERSION
+        }));
+    }
+};
@@ -0,0 +1,127 @@
+/* eslint-disable new-cap, no-mixed-operators */
+// Text of the scenes on the band across the canvas, wrapped, paged, prompted and typed out
+import {Text} from '../../node_modules/kontra/kontra';
+import strings from './strings.js';
+
+const
+    // Font size per pixel of canvas height, 12px at a zoom factor of 1
+    FONT_SCALE = 12 / 320,
+    // Range of the font size in pixels, pages keep small fonts readable
+    FONT_SIZE = {
+        max: 24,
+        min: 8
+    },
+    // Height of a line relative to the font size
+    LINE_HEIGHT = 1.2,
+    // Letters typed out per second
+    TYPING_RATE = 40,
+    // Lines split into pages of a number of lines, every line starting a page makes one
+    paginate = (lines, size) => lines.filter((line, index) => index % size === 0).map((line, page) => lines.slice(page * size, (page + 1) * size)),
+    // Lines of a text wrapped to a width in the font of a canvas context, keeping the line breaks it has
+    wrap = (context, text, width) => text.split('\n').flatMap((line) => line.split(' ').reduce((lines, word) => {
+        const last = lines.length - 1;
+
+        if (lines.length && context.measureText(`${lines[last]} ${word}`).width <= width) {
+            lines[last] = `${lines[last]} ${word}`;
+        } else {
+            lines.push(word);
+        }
+
+        return lines;
+    }, []));
+
+export default {
+    // Objects drawing the text of a scene and its rows, with a prompt offering an action with its key, typed out when asked to
+    create (text, options = {}) {
+        const
+            rows = options.rows || [],
+            textObject = Text({
+                // Show the rest of the page or turn to the next one, false once the last page shows in full
+                advance () {
+                    if (!this.isTyped()) {
+                        this.typed = Infinity;
+
+                        return true;
+                    }
+                    if (this.page < this.pages.length - 1) {
+                        this.page += 1;
+                        this.typed = options.typewriter ? 0 : Infinity;
+
+                        return true;
+                    }
+
+                    return false;
+                },
+                color: options.color,
+                // Whether the last page shows in full, with the rows under it
+                isDone () {
+                    return this.page === this.pages.length - 1 && this.isTyped();
+                },
+                // Whether the page shows in full
+                isTyped () {
+                    return this.typed >= this.pages[this.page].join('\n').length;
+                },
+                // Fit the text to the canvas, returning the lines of the page
+                layout () {
+                    const
+                        {canvas} = this.context,
+                        bandHeight = canvas.height / 3,
+                        fontSize = Math.max(FONT_SIZE.min, Math.min(FONT_SIZE.max, canvas.height * FONT_SCALE)),
+                        lineHeight = fontSize * LINE_HEIGHT,
+                        // Room for the prompt and the rows is kept on every page so the text does not jump
+                        reserved = (options.action ? 2 : 0) + rows.length,
+                        size = options.action ? Math.max(1, Math.floor(bandHeight / lineHeight) - reserved) : Infinity;
+
+                    this.font = `bold ${fontSize}px Courier New`;
+                    this.context.font = this.font;
+                    this.pages = paginate(wrap(this.context, text, canvas.width * 0.5), size);
+                    this.page = Math.min(this.page, this.pages.length - 1);
+                    this.rowHeight = lineHeight;
+                    this.x = canvas.width * 0.4;
+                    this.y = (canvas.height - bandHeight) / 2 + (bandHeight - (this.pages[this.page].length + reserved) * lineHeight) / 2;
+
+                    return this.pages[this.page];
+                },
+                lineHeight: LINE_HEIGHT,
+                page: 0,
+                render () {
+                    const
+                        lines = this.layout(),
+                        prompt = strings.get('prompt', {
+                            action: this.page < this.pages.length - 1 ? strings.get('prompt.continue') : options.action,
+                            key: options.key
+                        });
+
+                    // The prompt shows once the page is typed out
+                    this.text = options.action && this.isTyped() ? [...lines, '', prompt].join('\n') : lines.join('\n').slice(0, this.typed);
+                    this.lineCount = this.text.split('\n').length;
+                    this.draw();
+                },
+                text: '',
+                textAlign: 'left',
+                // Letters of the page shown so far
+                typed: options.typewriter ? 0 : Infinity,
+                update (dt = 1 / 60) {
+                    this.typed += TYPING_RATE * dt;
+                }
+            }),
+            // Rows under the last page, once it shows in full
+            textRows = rows.map((row, index) => Text({
+                color: row.color,
+                render () {
+                    if (textObject.isDone()) {
+                        this.font = textObject.font;
+                        this.x = textObject.x;
+                        this.y = textObject.y + (textObject.lineCount + index) * textObject.rowHeight;
+                        this.draw();
+                    }
+                },
+                text: row.text,
+                textAlign: 'left'
+            }));
+
+        textObject.layout();
+
+        return [textObject, ...textRows];
+    }
+};
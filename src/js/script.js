@@ -1,15 +1,34 @@
-﻿/* global document, Image, clearTimeout, localStorage, setTimeout, window */
+﻿/* global Blob, URL, document, fetch, Image, clearTimeout, navigator, setTimeout, window */
 /* eslint-disable new-cap, no-extra-parens, no-mixed-operators */
 import {
     GameLoop,
     Sprite,
     SpriteSheet,
-    Text,
+    gamepadAxis,
     getPointer,
     init,
+    initGamepad,
     initPointer
 } from '../../node_modules/kontra/kontra';
 import audio from './zzFx.js';
+import bestRun from './bestRun.js';
+import catBrain from './catBrain.js';
+import controls from './controls.js';
+import ghost from './ghost.js';
+import mixer from './mixer.js';
+import music from './music.js';
+import palettes from './palettes.js';
+import replay from './replay.js';
+import rooms from './rooms.js';
+import save from './save.js';
+import sceneText from './sceneText.js';
+import settings from './settings.js';
+import simulation from './simulation.js';
+import splits from './splits.js';
+import stages from './stages.js';
+import strings from './strings.js';
+import tileset from './tileset.js';
+import virtualPointer from './virtualPointer.js';
 
 let
     resizeTimeout = null,
@@ -48,38 +67,43 @@ const
             frames: [0, 1]
         }
     },
+    // Width of the canvas border in pixels
+    CANVAS_BORDER = 32,
     // CSS classes for different modes
+    CLASS_GENTLE = 'gentle',
+    CLASS_GLOW = 'glow',
     CLASS_LIGHTNING = 'lightning',
+    CLASS_REPLAY = 'replay',
     CLASS_STORM = 'storm',
+    CLASS_VIRTUAL = 'virtual',
     // Debounce delay for resize events in milliseconds
     DEBOUNCE_DELAY = 100,
+    // Images loaded at startup
+    IMAGES = [
+        'cat.webp',
+        'couch.webp',
+        'food.webp',
+        'kitten.webp',
+        'order.webp',
+        'pointer.webp'
+    ],
     KITTEN = 'kitten',
-    // Level dimensions in tiles
-    LEVEL_HEIGHT = 10,
-    LEVEL_WIDTH = 22,
     // Minimum zoom factor to ensure visibility
-    MIN_ZOOM = 1,
+    MIN_ZOOM = 0.25,
     ORDER = 'order',
-    // Size of each tile in pixels
-    TILE_SIZE = 32,
-    // Function to calculate distance between two points
-    calcDistance = (x1, y1, x2, y2) => {
-        const
-            dx = x1 - x2,
-            dy = y1 - y2;
-
-        // Calculate Euclidean distance
-        return Math.sqrt(dx * dx + dy * dy);
-    },
-    // Clamp a value between a minimum and maximum
-    clamp = (value, min, max) => Math.max(min, Math.min(max, value)),
-    // Function to draw a sprite with scaling and pixel art handling
-    drawSprite = (sprite, scale = 1) => {
+    // Function to draw a sprite with scaling and pixel art handling, optionally at a given position
+    drawSprite = (sprite, scale = 1, position = null) => {
+        if (position) {
+            sprite.x = position.x;
+            sprite.y = position.y;
+        }
         // Disable image smoothing for pixel art
         sprite.context.imageSmoothingEnabled = false;
         sprite.setScale(zoomFactor * scale);
         sprite.draw();
     },
+    // Function to format a split difference in seconds, negative when ahead
+    formatDelta = (delta) => `${delta < 0 ? '-' : '+'}${Math.abs(delta).toFixed(1)}`,
     // Function to format time in seconds to MM:SS
     formatTime = (timeInSeconds) => {
         const
@@ -91,16 +115,47 @@ const
     },
     // Main game object to hold state and methods
     game = {
+        // Keys bound to every input action
+        bindings: controls.load(),
+        // Row selected on the settings scene and whether it waits for a key to bind, null when the scene is closed
+        controlsMenu: null,
         createSheet (name, config) {
             this.sheets[name] = SpriteSheet(config);
         },
-        gameTime: 0,
+        // Ghost of the best run to race against
+        ghost: null,
+        // Recorder of the ghost of the current run
+        ghostRecorder: null,
         intro: true,
-        muted: false,
+        // Opacity of the room and the furniture, which only lightning lights up in the storm
+        light: 1,
+        // Rule being edited in the rules menu of the custom preset, null when the menu is closed
+        menu: null,
         over: false,
-        sheets: {}
+        // Replay being played back
+        player: null,
+        // Pointer steered with the keyboard or a gamepad
+        pointer: virtualPointer.create(),
+        // Recorder of the current run
+        recorder: null,
+        // Evolution times of the current run
+        runSplits: [],
+        // Difficulty settings of new runs
+        settings: settings.load(),
+        sheets: {},
+        // Splits record the current run is compared to
+        splits: null,
+        // Whether the current run was continued from a save of an older version and won't count towards the records
+        unranked: false
     },
-    getSceneText = (message, action) => `${message}\n\nPRESS ENTER TO ${action || 'CONTINUE'}…`,
+    // Value of a setting, marked as automatic while it follows the browser or the system
+    getAutoText = (setting, value) => (setting === null
+        ? strings.get('settings.auto', {
+            value
+        })
+        : value),
+    // Whether the room is lit, always but in the storm, where only lightning lights it up
+    isLit = () => stages.get(game.sim.cat.evolutionLevel).environment !== simulation.STORM || game.sim.lightning,
     // Function to load images asynchronously
     load = (path, assets) => new Promise((resolve, reject) => {
         const images = {};
@@ -123,78 +178,31 @@ const
             then(() => resolve(images)).
             catch(reject);
     }),
-    // Music controller to manage background music playback
-    music = (function () {
-        let player = null;
-
-        return {
-            start () {
-                if (player) {
-                    player.start();
-                } else {
-                    player = audio.zzfxP(...audio.song);
-                    player.loop = true;
-                }
-            },
-            stop () {
-                player.stop();
-                player = null;
-            }
-        };
-    }()),
+    // Function to load a data file
+    loadJson = (path) => fetch(path).
+        then((response) => response.json()),
+    // Seed for a new run, the only place where the game is not deterministic
+    newSeed = () => Math.floor(Math.random() * 4294967296),
     // Helper to add event listeners
     on = (element, eventType, callback) => element.addEventListener(eventType, callback),
-    // Function to randomly position the couch
-    positionCouch = () => {
-        // Ensure couch is within bounds and not too close to edges
-        const
-            margin = 2 * TILE_SIZE * zoomFactor,
-            maxX = canvas.width - game.couch.width * zoomFactor - margin,
-            maxY = canvas.height - game.couch.height * zoomFactor - margin;
-
-        game.couch.x = margin + Math.random() * maxX;
-        game.couch.y = margin + Math.random() * maxY;
-    },
-    // Function to position the food bowl away from couch
-    positionFood = () => {
-        const
-            margin = TILE_SIZE * zoomFactor,
-            maxX = canvas.width - game.food.width * zoomFactor - margin,
-            maxY = canvas.height - game.food.height * zoomFactor - margin,
-            // Minimum distance from couch to food bowl
-            minDistance = TILE_SIZE * 4;
-        let
-            attempts = 0,
-            // eslint-disable-next-line init-declarations
-            foodX, foodY, toCouch;
-
-        // Try up to 20 times to find a valid position
-        do {
-            foodX = margin + Math.random() * maxX;
-            foodY = margin + Math.random() * maxY;
-            toCouch = calcDistance(foodX, foodY, game.couch.x, game.couch.y);
-            attempts += 1;
-        } while (toCouch < minDistance && attempts < 20);
-
-        // Set the position
-        game.food.x = foodX;
-        game.food.y = foodY;
-        game.food.isVisible = true;
-    },
     // Simple query selector helper
     query = (selector) => document.querySelector(selector),
-    // Calculate new meter value based on recovery rate
-    recoveryRateCalculation = (meter, rate, dt, multiplier = 1) => Math.max(0, meter - rate * multiplier * dt),
+    // Announce text to screen readers through the live region
+    readAloud = (text) => {
+        query('#announcer').textContent = text;
+    },
     // Function to render title screen, cutscenes and game messages
     renderScene = (text, options = {}) => {
         // Clear any existing objects in the game.scene
         game.scene.objects = [];
+        game.scene.time = 0;
         options.animation ||= 'idle';
         options.sheet ||= ORDER;
+        readAloud([text, ...(options.rows || []).map((row) => row.text)].join('\n'));
 
         // Add a rectangle background
         game.scene.objects.push(Sprite({
-            color: options.background || '#F00',
+            color: options.background || palettes.get(game.settings.palette).scene,
             render () {
                 this.width = canvas.width;
                 this.height = canvas.height / 3;
@@ -204,27 +212,13 @@ const
             },
             x: 0
         }));
-        // Add the text
-        game.scene.objects.push(Text({
-            color: options.color || '#FFF',
-            lineHeight: 1.2,
-            render () {
-                const
-                    fontSize = zoomFactor === 1 ? 12 : 24,
-                    lineHeight = fontSize * 1.2,
-                    lines = text.split('\n'),
-                    rectHeight = canvas.height / 3,
-                    rectY = (canvas.height - rectHeight) / 2,
-                    totalTextHeight = lines.length * lineHeight;
-
-                this.font = `bold ${fontSize}px Courier New`;
-                this.width = canvas.width * 0.5;
-                this.x = canvas.width * 0.4;
-                this.y = rectY + (rectHeight - totalTextHeight) / 2;
-                this.draw();
-            },
-            text,
-            textAlign: 'left'
+        // Add the text and the rows below it, the story scenes type their text out unless motion is reduced
+        game.scene.objects.push(...sceneText.create(text, {
+            action: options.action,
+            color: options.color || palettes.get(game.settings.palette).sceneText,
+            key: controls.keysOf(game.bindings, 'confirm'),
+            rows: options.rows,
+            typewriter: options.typewriter && !settings.isMotionReduced(game.settings)
         }));
         // Add the sprite animation
         game.scene.objects.push(Sprite({
@@ -245,127 +239,481 @@ const
         }));
         game.scene.start();
     },
-    // Function to reset idle and outside range timers
-    resetTimers = (obj) => {
-        obj.idleTimer = 0;
-        obj.outsideRangeTimer = 0;
-    },
     // Function to set canvas mode classes
     setCanvasMode = (mode) => {
-        canvas.classList.remove(CLASS_STORM, CLASS_LIGHTNING);
+        canvas.classList.remove(CLASS_STORM, CLASS_LIGHTNING, CLASS_GLOW);
         if (mode) {
             canvas.classList.add(mode);
         }
     },
-    // Calculate centered position for an object of size 'b' within a dimension 'a'
-    setPosition = (a, b) => (a - (b * zoomFactor)) / 2,
     // Calculate and set the appropriate zoom factor based on window dimensions
     setZoomFactor = () => {
-        // Calculate the zoom factor based on the window size and level dimensions
+        // Calculate the zoom factor based on the window size and the dimensions of the world
         const
-            horizontalZoom = Math.floor(window.innerWidth / (LEVEL_WIDTH * TILE_SIZE)),
-            verticalZoom = Math.floor((window.innerHeight * 0.8) / (LEVEL_HEIGHT * TILE_SIZE));
-
-        // Calculate the zoom factor based on the window size and level dimensions
-        zoomFactor = Math.max(Math.min(horizontalZoom, verticalZoom), MIN_ZOOM);
+            horizontalZoom = (window.innerWidth - 2 * CANVAS_BORDER) / simulation.BOUNDS.width,
+            verticalZoom = (window.innerHeight * 0.8) / simulation.BOUNDS.height,
+            zoomToFit = Math.min(horizontalZoom, verticalZoom);
+
+        /*
+         * Whole zoom factors keep the pixel art crisp, smaller screens like phones in portrait get a fractional one.
+         * The zoom factor only scales the world when it is drawn, the run plays the same at any of them
+         */
+        zoomFactor = zoomToFit >= 1 ? Math.floor(zoomToFit) : Math.max(zoomToFit, MIN_ZOOM);
         // Set the canvas dimensions based on the zoom factor
-        canvas.height = LEVEL_HEIGHT * TILE_SIZE * zoomFactor;
-        canvas.width = LEVEL_WIDTH * TILE_SIZE * zoomFactor;
+        canvas.height = Math.round(simulation.BOUNDS.height * zoomFactor);
+        canvas.width = Math.round(simulation.BOUNDS.width * zoomFactor);
     },
-    // Function to play sound effects
-    soundFx = (effect) => {
+    // Function to play sound effects, panned from -1 on the left to 1 on the right
+    soundFx = (effect, pan = 0) => {
         if (audio[effect]) {
-            audio.zzfxP(audio[effect]);
+            mixer.play('sfx', mixer.buffer([audio[effect]]), {
+                pan
+            });
         }
     },
-    // Function to track and display the best time using localStorage
-    trackBestTime = (elapsedSeconds) => {
-        const storageKey = 'ootcdBest';
-        let bestTime = parseFloat(localStorage.getItem(storageKey)) || Infinity;
-
-        if (elapsedSeconds) {
-            // Compare current time with best time and update if better
-            if (elapsedSeconds < bestTime) {
-                bestTime = elapsedSeconds;
-                localStorage.setItem(storageKey, bestTime);
-            }
-        }
+    // Screen position of a position in world units, the camera scaling the world to the canvas
+    toScreen = (position) => ({
+        x: position.x * zoomFactor,
+        y: position.y * zoomFactor
+    }),
+    // Stereo pan of a simulated position, following where it is on the screen
+    toStereo = (position) => toScreen(position).x / canvas.width * 2 - 1,
+    // Position in world units of a screen position, such as the mouse pointer on the canvas
+    toWorld = (position) => ({
+        x: position.x / zoomFactor,
+        y: position.y / zoomFactor
+    }),
+    // Function to track the splits of a finished run and display the best time of a difficulty preset using localStorage, returns true for a new best time
+    trackBestTime = (preset, times = null) => {
+        let
+            isBest = false,
+            record = splits.load(preset);
 
-        // Update the display if we have a valid best time
-        if (bestTime !== Infinity) {
-            query('#time t').innerHTML = formatTime(bestTime);
+        if (times) {
+            // Keep the best segments and replace the personal best if this run was faster
+            ({isBest, record} = splits.update(record, times));
+            splits.save(record, preset);
         }
+
+        // Update the display, which is empty without a valid best time
+        query('#time t').innerHTML = splits.pbTime(record) === Infinity ? '' : formatTime(splits.pbTime(record));
+
+        return isBest;
+    },
+    // Use the palette of the settings in the page, on the laser and as the cursor, which are tinted from the pointer image
+    usePalette = () => {
+        const
+            {laser} = palettes.get(game.settings.palette),
+            image = laser ? palettes.tint(game.laser.pointer, laser) : game.laser.pointer,
+            palette = palettes.get(game.settings.palette);
+
+        [
+            'ahead',
+            'behind',
+            'glow',
+            'happiness',
+            'stamina',
+            'storm'
+        ].forEach((name) => document.documentElement.style.setProperty(`--${name}`, palette[name]));
+        game.laser.image = image;
+        canvas.style.cursor = laser ? `url(${image.toDataURL()}), auto` : '';
     };
 
-// Initialize the pointer API
+// Initialize the pointer and gamepad APIs
 initPointer();
+initGamepad();
 // Set the initial zoom factor and canvas dimensions
 setZoomFactor();
-// Display the best time if available
-trackBestTime();
-// Set image path and load assets
-load('images/', ['cat.webp', 'couch.webp', 'food.webp', 'kitten.webp', 'order.webp']).then((imageAssets) => {
+// Soften the lightning when motion is reduced
+canvas.classList.toggle(CLASS_GENTLE, settings.isMotionReduced(game.settings));
+// Set image path and load assets along with the stage definitions, the room layouts and the language pack, the language follows the browser unless set
+Promise.all([load('images/', IMAGES), loadJson('data/stages.json').then(stages.define), loadJson('data/rooms.json').then(rooms.define), strings.load(game.settings.language ?? strings.detect(navigator.language)).then(() => strings.translate(document))]).then(([imageAssets]) => {
     const
-        // Base distances in tile units
-        BASE_ACTIVATION_DISTANCE = 3 * TILE_SIZE,
-        // Distance threshold to consider cat has reached the food
-        BASE_FOOD_THRESHOLD = TILE_SIZE,
-        // Maximum distance before cat stops following
-        BASE_MAX_FOLLOW_DISTANCE = 6 * TILE_SIZE,
-        // Minimum distance to start moving toward the pointer
-        BASE_MIN_DISTANCE = 0.125 * TILE_SIZE,
-        // Closer distance required to re-engage the cat
-        BASE_REENGAGEMENT_DISTANCE = TILE_SIZE,
-        // Cat states
-        CAT_STATES = {
-            ASLEEP: 'asleep',
-            AWAKE: 'awake',
-            EATING: 'eating',
-            EXHAUSTED: 'exhausted',
-            IDLE: 'idle',
-            SEEKING_COUCH: 'seekingCouch'
+        // Rows the controls scene shows at once
+        MENU_ROWS = 6,
+        // Input actions that are recorded with a run
+        RECORDED_ACTIONS = ['confirm', 'mute', 'pause', 'skip'],
+        // Seconds a scene is shown before a replay continues
+        REPLAY_SCENE_DELAY = 2,
+        // Rows at the top of the settings scene that the left and right arrows adjust
+        SLIDERS = [
+            {
+                adjust: (steps) => {
+                    settings.adjustSensitivity(game.settings, steps);
+                    settings.save(game.settings);
+                },
+                label: 'settings.pointer',
+                value: () => game.settings.sensitivity
+            },
+            {
+                adjust: (steps) => mixer.adjust('music', steps),
+                label: 'settings.music',
+                value: () => `${Math.round(mixer.volume('music') * 100)}%`
+            },
+            {
+                adjust: (steps) => mixer.adjust('sfx', steps),
+                label: 'settings.sound',
+                value: () => `${Math.round(mixer.volume('sfx') * 100)}%`
+            },
+            {
+                adjust: () => {
+                    settings.cycleMotion(game.settings);
+                    settings.save(game.settings);
+                    canvas.classList.toggle(CLASS_GENTLE, settings.isMotionReduced(game.settings));
+                },
+                label: 'settings.motion',
+                value: () => getAutoText(game.settings.reducedMotion, strings.get(settings.isMotionReduced(game.settings) ? 'settings.on' : 'settings.off'))
+            },
+            {
+                adjust: () => {
+                    game.settings.palette = palettes.next(game.settings.palette);
+                    settings.save(game.settings);
+                    usePalette();
+                },
+                label: 'settings.palette',
+                value: () => strings.get(`palette.${game.settings.palette}`)
+            },
+            {
+                // The pack of the language may have to be loaded first
+                adjust: () => {
+                    settings.cycleLanguage(game.settings, Object.keys(strings.LANGUAGES));
+                    settings.save(game.settings);
+
+                    return strings.load(game.settings.language ?? strings.detect(navigator.language)).then(() => strings.translate(document));
+                },
+                label: 'settings.language',
+                value: () => getAutoText(game.settings.language, strings.LANGUAGES[strings.language()])
+            }
+        ],
+        // Save the best run as a file
+        downloadBestRun = () => {
+            const link = document.createElement('a');
+
+            link.href = URL.createObjectURL(new Blob([JSON.stringify(bestRun.run(game.settings.preset))], {
+                type: 'application/json'
+            }));
+            link.download = 'ootcd-best-run.json';
+            link.click();
+            URL.revokeObjectURL(link.href);
+        },
+        // Verify a finished run and keep it and its ghost if it is the best one
+        finishRun = () => {
+            const
+                {preset} = game.sim.difficulty,
+                run = game.recorder.finish(game.sim.gameTime);
+
+            // Include the ascension, which ends the run before the ghost records it
+            game.ghostRecorder.record(game.sim);
+            if (!game.unranked && replay.verify(run).valid && trackBestTime(preset, game.runSplits)) {
+                bestRun.save(preset, run, game.ghostRecorder.finish());
+            }
+            game.recorder = null;
+            game.ghostRecorder = null;
+            save.clear();
+        },
+        // Sprite sheet of the stage of an evolution level
+        getSheet = (level) => game.sheets[stages.get(level).sheet],
+        // Rows of the ascension scene comparing the splits of the run to the previous personal best, in the colours of the palette
+        getSplitRows = () => {
+            const
+                palette = palettes.get(game.settings.palette),
+                rows = game.runSplits.map((time, stage) => {
+                    const delta = splits.compare(game.splits, stage, time);
+
+                    return {
+                        color: delta > 0 ? palette.behind : palette.ahead,
+                        text: `${strings.get(`stage.${stages.get(stage + 1).name}`).toUpperCase()} ${formatTime(time)}${delta === null ? '' : ` ${formatDelta(delta)}`}`
+                    };
+                }),
+                sumOfBest = splits.sumOfBest(splits.load(game.sim.difficulty.preset)),
+                sumRow = {
+                    color: palette.sceneText,
+                    text: strings.get('splits.sumOfBest', {
+                        time: sumOfBest === null ? '-:--' : formatTime(sumOfBest)
+                    })
+                };
+
+            return [...rows, sumRow];
+        },
+        // Keys held down, for the actions steering the virtual pointer
+        heldKeys = new Set(),
+        // Heads-up display showing the cat's meters, level and time
+        hud = {
+            // Method to update the visual meters
+            setMeter (name, value) {
+                query(`#${name} b`).style.width = value;
+                query(`#${name} v`).innerHTML = value;
+                query(`#${name} a`).setAttribute('aria-valuenow', parseFloat(value));
+            },
+            // Show whether the game is paused or muted on the on-screen controls
+            showControls () {
+                query('#pause').innerHTML = game.loop.isStopped ? '▶' : '❚❚';
+                query('#mute').classList.toggle('muted', mixer.isMuted());
+            },
+            // Show how far ahead or behind the personal best an evolution happened
+            showSplit (delta) {
+                const split = query('#time s');
+
+                split.innerHTML = delta === null ? '' : formatDelta(delta);
+                split.className = delta < 0 ? 'ahead' : 'behind';
+            },
+            // Show every split of the run, or the personal best split when not reached yet
+            showSplits () {
+                query('#splits').innerHTML = stages.list().slice(1).map(({name}, stage) => {
+                    const
+                        pb = game.splits.pb[stage],
+                        time = game.runSplits[stage];
+
+                    if (typeof time === 'undefined') {
+                        return `<b>${strings.get(`stage.${name}`)} ${pb ? formatTime(pb) : '-:--'}</b>`;
+                    }
+
+                    return `<b class="${splits.compare(game.splits, stage, time) > 0 ? 'behind' : 'ahead'}">${strings.get(`stage.${name}`)} ${formatTime(time)}</b>`;
+                }).join('');
+            },
+            // Refresh the whole display from the cat state
+            update (cat) {
+                this.setMeter('happiness', `${cat.happinessMeter.toFixed(0)}%`);
+                this.setMeter('exhaust', `${catBrain.getStaminaPercent(cat, simulation.rules(game.sim)).toFixed(0)}%`);
+                if (cat.happinessMeter >= 100) {
+                    this.updateEvolutionDisplay(cat, strings.get('hud.evolving'), true);
+                } else {
+                    this.updateEvolutionDisplay(cat, strings.get('hud.happiness'));
+                }
+                query('#time v').innerHTML = formatTime(game.sim.gameTime);
+                query('#level').innerHTML = strings.get(`stage.${stages.get(cat.evolutionLevel).name}`);
+                query('#preset').innerHTML = strings.get(`preset.${game.sim.difficulty.preset}`);
+            },
+            updateEvolutionDisplay (cat, text = null, updateMeters = false) {
+                const evolutionMeter = query('#happiness i');
+
+                if (text) {
+                    query('#happiness t').innerHTML = text;
+                }
+                if (updateMeters) {
+                    evolutionMeter.style.width = catBrain.getEvolutionPercent(cat);
+                    evolutionMeter.innerHTML = catBrain.getEvolutionPercent(cat);
+                }
+            }
+        },
+        // Feed the recorded events due at the current tick back into the game
+        playEvents = () => {
+            let event = game.player.nextEvent();
+
+            while (event) {
+                game.onAction(event.type);
+                // Stop when the event paused the game, the rest is due once it resumes
+                event = game.loop.isStopped ? null : game.player.nextEvent();
+            }
+        },
+        // Position the cat follows, from the mouse or the virtual pointer, in whole world units to keep recorded runs exact
+        readInput = (dt) => {
+            const
+                analog = virtualPointer.stick(gamepadAxis('leftstickx', 0), gamepadAxis('leftsticky', 0)),
+                direction = {
+                    x: analog.x + Number(controls.isHeld(game.bindings, 'right', heldKeys)) - Number(controls.isHeld(game.bindings, 'left', heldKeys)),
+                    y: analog.y + Number(controls.isHeld(game.bindings, 'down', heldKeys)) - Number(controls.isHeld(game.bindings, 'up', heldKeys))
+                },
+                position = virtualPointer.update(game.pointer, toWorld(getPointer()), direction, dt, {
+                    bounds: simulation.BOUNDS,
+                    sensitivity: game.settings.sensitivity
+                });
+
+            // Hide the mouse cursor while the laser is drawn in its place
+            canvas.classList.toggle(CLASS_VIRTUAL, game.pointer.active);
+
+            return {
+                x: Math.round(position.x),
+                y: Math.round(position.y)
+            };
+        },
+        // Save the run in progress so it can be continued after the page is closed
+        saveRun = () => {
+            if (game.recorder) {
+                save.save({
+                    ghost: game.ghostRecorder.finish(),
+                    replay: game.recorder.finish(game.sim.gameTime),
+                    sim: simulation.serialize(game.sim),
+                    splits: game.runSplits,
+                    unranked: game.unranked
+                });
+            }
         },
-        // Distance threshold to consider cat has reached the couch
-        COUCH_THRESHOLD = 10,
-        // Time in seconds for eating animation
-        EATING_DURATION = 3,
-        // Evolution constants
-        EVOLUTION_BASE_TIME = 20,
-        // Rate at which the cat gets tired from movement
-        EXHAUST_FACTOR = 0.1,
-        // Threshold for exhausted state before falling asleep
-        EXHAUST_THRESHOLD = 333,
-        // Time in seconds for idle behavior
-        IDLE_TIMEOUT = 1,
-        // Time in seconds before cat falls asleep after being idle
-        IDLE_TO_SLEEP_TIMEOUT = 10,
-        // Evolution level names
-        LEVEL = [KITTEN, 'cat', CLASS_STORM, ORDER],
-        // Rate at which the exhaust meter recovers
-        RECOVERY_RATE = 5,
-        // Sleep duration in seconds
-        SLEEP_DURATION = 10,
-        // Sleep threshold for the exhaust meter
-        SLEEP_THRESHOLD = 500;
+        // Show the settings with the selected row marked, scrolled to it when they do not all fit
+        showControls = () => {
+            const
+                {index, isBinding} = game.controlsMenu,
+                actions = controls.ACTIONS.map((action, actionIndex) => `${strings.get(`action.${action}`)} ${isBinding && actionIndex + SLIDERS.length === index ? strings.get('settings.bind') : controls.keysOf(game.bindings, action)}`),
+                rows = [...SLIDERS.map((slider) => `${strings.get(slider.label)} ← ${slider.value()} →`), ...actions],
+                start = Math.max(0, Math.min(index - 2, rows.length - MENU_ROWS));
+
+            renderScene(`${strings.get('settings')}\n${rows.map((row, rowIndex) => `${rowIndex === index ? '>' : ' '} ${row}`).slice(start, start + MENU_ROWS).join('\n')}`, {
+                background: '#BBB',
+                color: '#000',
+                sheet: KITTEN
+            });
+        },
+        // Show the intro scene
+        showIntro = () => {
+            const
+                {preset} = game.settings,
+                actionKeys = Object.fromEntries(controls.INTRO_ACTIONS.map((action) => [action, controls.keysOf(game.bindings, action)])),
+                difficulty = strings.get('intro.settings', {
+                    ...actionKeys,
+                    preset: strings.get(`preset.${preset}`).toUpperCase(),
+                    rules: preset === settings.CUSTOM ? strings.get('intro.edit', actionKeys) : ''
+                }),
+                hint = `${save.load() ? `\n${strings.get('intro.continue', actionKeys)}` : ''}${bestRun.run(preset) ? `\n${strings.get('intro.replay', actionKeys)}` : ''}\n${difficulty}`;
+
+            game.intro = true;
+            renderScene(`${strings.get('intro')}${hint}`, {
+                action: strings.get('prompt.continue'),
+                background: '#BBB',
+                color: '#000',
+                sheet: KITTEN
+            });
+        },
+        // Show the pause scene
+        showPause = () => {
+            renderScene(`${strings.get('pause')}${game.unranked ? `\n${strings.get('pause.unranked')}` : ''}`, {
+                action: strings.get('prompt.continue'),
+                background: '#BBB',
+                color: '#000',
+                sheet: stages.get(game.sim.cat.evolutionLevel).sheet
+            });
+        },
+        // Show the rules of the custom preset, with the one being edited marked
+        showRules = () => {
+            const rules = Object.keys(settings.RULES).map((rule, index) => `${index === game.menu ? '>' : ' '} ${strings.get(`rule.${rule}`)} ${game.settings.custom[rule]}`);
+
+            renderScene(`${strings.get('rules')}\n${rules.join('\n')}`, {
+                background: '#BBB',
+                color: '#000',
+                sheet: KITTEN
+            });
+        },
+        // Play back a recorded run in place of live input
+        startReplay = (run) => {
+            game.player = replay.createPlayer(run);
+            game.sim = simulation.create(run.seed, run.difficulty);
+            game.recorder = null;
+            game.ghostRecorder = null;
+            game.runSplits = [];
+            game.splits = splits.load(game.sim.difficulty.preset);
+            hud.showSplit(null);
+            hud.showSplits();
+            game.intro = false;
+            game.over = false;
+            game.cat.animations = game.sheets.kitten.animations;
+            setCanvasMode();
+            query('ul').classList.add(CLASS_REPLAY);
+            game.scene.stop();
+            game.loop.start();
+            music.rewind();
+            music.play(0);
+        },
+        // Continue the saved run, paused until the player is ready
+        startSavedRun = () => {
+            const data = save.load();
+
+            game.sim = simulation.restore(data.sim);
+            game.recorder = replay.createRecorder(game.sim, data.replay);
+            game.ghostRecorder = ghost.createRecorder(data.ghost);
+            game.ghost = bestRun.ghost(game.sim.difficulty.preset);
+            game.runSplits = data.splits;
+            game.unranked = Boolean(data.unranked);
+            game.splits = splits.load(game.sim.difficulty.preset);
+            game.intro = false;
+            game.over = false;
+            game.cat.animations = getSheet(game.sim.cat.evolutionLevel).animations;
+            setCanvasMode(stages.get(game.sim.cat.evolutionLevel).environment);
+            hud.showSplit(null);
+            hud.showSplits();
+            hud.update(game.sim.cat);
+            showPause();
+        },
+        // End the replay and return to the intro
+        stopReplay = () => {
+            game.player = null;
+            game.ascended = false;
+            game.over = true;
+            game.loop.stop();
+            music.stop();
+            setCanvasMode();
+            query('ul').classList.remove(CLASS_REPLAY);
+            showIntro();
+        },
+        // Handle a key on the settings scene, whose keys can not be rebound so the controls can always be fixed
+        updateControls = (key) => {
+            const
+                action = controls.ACTIONS[game.controlsMenu.index - SLIDERS.length],
+                count = SLIDERS.length + controls.ACTIONS.length,
+                menu = game.controlsMenu;
+
+            if (menu.isBinding) {
+                // Escape cancels rebinding
+                if (key !== 'Escape') {
+                    controls.bind(game.bindings, action, key);
+                    controls.save(game.bindings);
+                }
+                menu.isBinding = false;
+            } else if (key === 'ArrowUp' || key === 'ArrowDown') {
+                menu.index = (menu.index + count + (key === 'ArrowUp' ? -1 : 1)) % count;
+            } else if ((key === 'ArrowLeft' || key === 'ArrowRight') && !action) {
+                // Show the scene again once a slider that loads something is done, unless it was closed meanwhile
+                Promise.resolve(SLIDERS[menu.index].adjust(key === 'ArrowLeft' ? -1 : 1)).then(() => game.controlsMenu && showControls());
+            } else if (key === 'Enter' && action) {
+                menu.isBinding = true;
+            } else if (key === 'Backspace' && action) {
+                controls.reset(game.bindings, action);
+                controls.save(game.bindings);
+            } else if (key === 'Escape') {
+                game.controlsMenu = null;
+                showIntro();
+
+                return;
+            }
+            showControls();
+        },
+        // Handle a key in the rules menu of the custom preset
+        updateRules = (key) => {
+            const
+                names = Object.keys(settings.RULES),
+                steps = {
+                    ArrowLeft: -1,
+                    ArrowRight: 1
+                };
+
+            if (key === 'ArrowUp' || key === 'ArrowDown') {
+                game.menu = (game.menu + names.length + (key === 'ArrowUp' ? -1 : 1)) % names.length;
+            } else if (steps[key]) {
+                settings.adjust(game.settings, names[game.menu], steps[key]);
+                settings.save(game.settings);
+            } else if (key === 'Enter' || key === 'Escape') {
+                game.menu = null;
+                showIntro();
+
+                return;
+            }
+            showRules();
+        };
 
     // Define the kitten sprite sheet and animations
     game.createSheet(KITTEN, {
         animations: ANIMATIONS,
-        frameHeight: TILE_SIZE,
-        frameWidth: TILE_SIZE,
+        frameHeight: simulation.TILE_SIZE,
+        frameWidth: simulation.TILE_SIZE,
         image: imageAssets.kitten
     });
 
     game.createSheet('cat', {
         animations: ANIMATIONS,
-        frameHeight: TILE_SIZE,
-        frameWidth: TILE_SIZE,
+        frameHeight: simulation.TILE_SIZE,
+        frameWidth: simulation.TILE_SIZE,
         image: imageAssets.cat
     });
     // Adjust frame rates for cat idle animation
     game.sheets.cat.animations.idle.frameRate = 2;
-    // Reuse cat sheet for storm level
-    game.sheets.storm = game.sheets.cat;
 
     // Define the order sprite sheet and animations
     game.createSheet(ORDER, {
@@ -383,510 +731,227 @@ load('images/', ['cat.webp', 'couch.webp', 'food.webp', 'kitten.webp', 'order.we
                 frames: [0, 1]
             }
         },
-        frameHeight: TILE_SIZE,
-        frameWidth: TILE_SIZE,
+        frameHeight: simulation.TILE_SIZE,
+        frameWidth: simulation.TILE_SIZE,
         image: imageAssets.order
     });
 
+    // Display the best time if available
+    trackBestTime(game.settings.preset);
+    // Render the music of the first stage while the intro shows
+    music.prepare(0);
+    // Simulation of the first run
+    game.sim = simulation.create(newSeed());
+
+    // Room of the current stage, drawn over the floor
+    game.room = Sprite({
+        height: simulation.BOUNDS.height,
+        render () {
+            this.image = tileset.picture(rooms.get(stages.get(game.sim.cat.evolutionLevel).room));
+            drawSprite(this, 1, {
+                x: 0,
+                y: 0
+            });
+        },
+        width: simulation.BOUNDS.width
+    });
+
     // Couch sprite
     game.couch = Sprite({
         image: imageAssets.couch,
         render () {
-            drawSprite(this);
+            drawSprite(this, 1, toScreen(game.sim.couch));
         }
     });
-    // Position the couch randomly
-    positionCouch();
 
     // Food bowl sprite
     game.food = Sprite({
         image: imageAssets.food,
-        // Start invisible until exhausted
-        isVisible: false,
         render () {
-            if (!this.isVisible) {
+            // Stay invisible until exhausted
+            if (!game.sim.food.isVisible) {
                 return;
             }
-            drawSprite(this);
+            drawSprite(this, 1, toScreen(game.sim.food));
         }
     });
 
-    // Cat sprite
-    game.cat = Sprite({
+    // Laser pointer sprite, shown when replaying a run
+    game.laser = Sprite({
+        image: imageAssets.pointer,
+        // Image the laser is tinted from
+        pointer: imageAssets.pointer,
+        position: {
+            x: 0,
+            y: 0
+        },
+        render () {
+            drawSprite(this, 1, toScreen(this.position));
+        }
+    });
+    usePalette();
+
+    // Ghost cat sprite, racing the live cat along the best run
+    game.ghostCat = Sprite({
         animations: game.sheets.kitten.animations,
-        // Method to position the cat on the couch or food bowl
-        centerOn (targetObject, xOffset = 0, yOffset = 0) {
-            const
-                catScaled = this.scaled(),
-                targetScaled = {
-                    height: targetObject.height * zoomFactor,
-                    width: targetObject.width * zoomFactor
-                };
+        level: 0,
+        opacity: 0.4,
+        render () {
+            const frame = game.ghost && !game.player ? ghost.frameAt(game.ghost, game.sim.gameTime) : null;
 
-            // Position cat in the center of the target object with optional offsets
-            this.x = targetObject.x + (targetScaled.width - catScaled.width) / 2 + xOffset;
-            this.y = targetObject.y + (targetScaled.height - catScaled.height) / 2 + yOffset;
-        },
-        // Store the current animation state
-        current: {
-            facing: null,
-            state: null
-        },
-        // To track movement distance for exhaust meter
-        distanceMoved: 0,
-        // Timer for eating animation
-        eatingTimer: 0,
-        // Evolution properties
-        evolutionLevel: 0,
-        evolutionTargetTime: EVOLUTION_BASE_TIME,
-        evolutionTimer: 0,
+            if (!frame) {
+                return;
+            }
+            if (frame.level !== this.level) {
+                this.level = frame.level;
+                this.animations = getSheet(frame.level).animations;
+            }
+            this.currentAnimation = this.animations[frame.animation];
+            drawSprite(this, 1, toScreen(frame));
+        }
+    });
+
+    // Cat sprite, rendering the state of the cat brain
+    game.cat = Sprite({
+        animations: game.sheets.kitten.animations,
         // Handles the evolution process
-        evolve () {
-            let options = {},
-                text = getSceneText('SO… THE KITTEN HAS BECOME A CAT\nYOUR PAWS GROW SWIFT, YOUR EYES SHARP\nBUT THE CRIMSON DOT STILL ELUDES YOU…');
+        evolve (event) {
+            const
+                stage = stages.get(event.level),
+                {message, ...options} = stage.cutscene;
 
+            hud.updateEvolutionDisplay(game.sim.cat, strings.get('hud.happinessWaiting'), true);
             game.loop.stop();
-            this.evolutionLevel += 1;
-            this.animations = game.sheets[LEVEL[this.evolutionLevel]].animations;
-            soundFx('evolve');
-            this.evolutionTargetTime = EVOLUTION_BASE_TIME * (this.evolutionLevel + 1);
-            this.happinessMeter -= (this.evolutionLevel * 25);
-            // Reposition couch for new level
-            positionCouch();
-            if (this.evolutionLevel > 2) {
+            this.animations = getSheet(event.level).animations;
+            soundFx('evolve', toStereo(game.sim.cat));
+            music.play(event.level);
+            if (!game.player) {
+                game.runSplits.push(game.sim.gameTime);
+                hud.showSplit(splits.compare(game.splits, event.level - 1, game.sim.gameTime));
+                hud.showSplits();
+            }
+            if (event.ascended) {
                 game.ascended = true;
-                setCanvasMode();
-                text = getSceneText('AT LAST, THE CRIMSON DOT IS YOURS!');
-                trackBestTime(game.gameTime);
-                options = {
-                    animation: 'captured',
-                    background: '#BBB',
-                    color: '#000'
-                };
-            } else if (this.evolutionLevel > 1) {
-                setCanvasMode(CLASS_STORM);
-                text = getSceneText('IMPRESSIVE, BUT BEFORE YOU CAN ASCEND SMALL\nCREATURE, YOU MUST WEATHER THE STORM…');
+                // Replays never count as a new best time
+                if (game.recorder) {
+                    finishRun();
+                }
             }
+            setCanvasMode(stage.environment);
             // Render the cutscene
-            renderScene(text, options);
+            renderScene(strings.get(message), {
+                action: strings.get('prompt.continue'),
+                typewriter: true,
+                ...options
+            });
         },
-        // Exhaust meter (0 to SLEEP_THRESHOLD)
-        exhaustMeter: 0,
-        // Set initial facing direction (default is left)
-        facingRight: false,
-        // Method to determine the correct animation based on state and direction
-        getAnimation () {
-            let state = this.state === CAT_STATES.SEEKING_COUCH
-                ? CAT_STATES.EXHAUSTED
-                : this.state;
-
-            // Add facing direction suffix for awake and exhausted states
-            if (state === CAT_STATES.AWAKE || state === CAT_STATES.EXHAUSTED) {
-                state += this.facingRight ? 'right' : 'left';
+        // Reacts to the events emitted by the simulation
+        onEvent (event) {
+            switch (event.type) {
+            case 'evolved':
+                this.evolve(event);
+                break;
+            case 'chewed':
+            case 'startedEating':
+                soundFx('eat', toStereo(game.sim.food));
+                break;
+            case 'fellAsleep':
+                readAloud(strings.get('announce.asleep'));
+                break;
+            case 'foodRequested':
+                readAloud(strings.get('announce.food'));
+                break;
+            case 'lightningEnded':
+                setCanvasMode(CLASS_STORM);
+                break;
+            case 'lightningStarted':
+                setCanvasMode(settings.isMotionReduced(game.settings) ? CLASS_GLOW : CLASS_LIGHTNING);
+                // Thunder rolls somewhere in the sky, which is not part of the simulation
+                soundFx('explosion', Math.random() * 2 - 1);
+                break;
+            case 'wokeUp':
+                readAloud(strings.get('announce.awake'));
+                break;
+            default:
+                break;
             }
-
-            return this.animations[state];
-        },
-        // Get evolution progress as a percentage string
-        getEvolutionPercent () {
-            return this.evolutionTargetTime > 0
-                // eslint-disable-next-line prefer-template
-                ? Math.min(100, Math.floor((this.evolutionTimer / this.evolutionTargetTime) * 100)).toFixed(0) + '%'
-                : '0%';
-        },
-        // Get stamina as a percentage string (inverted exhaust meter)
-        getStaminaPercent () {
-            return Math.max(0, (100 - (this.exhaustMeter / 5)));
         },
-        // Happiness meter (0 to HAPPINESS_MAX)
-        happinessMeter: 0,
-        // Time counter for idle behavior
-        idleTimer: 0,
-        // Store the last pointer position to detect movement
-        lastPointerX: 0,
-        lastPointerY: 0,
-        // To track if the pointer is outside range
-        outsideRangeTimer: 0,
         // Called every frame to render the game
         render () {
-            drawSprite(this);
+            drawSprite(this, 1, toScreen(game.sim.cat));
         },
-        // Return scaled dimensions of the cat sprite
-        scaled () {
-            return {
-                height: this.height * zoomFactor,
-                width: this.width * zoomFactor
-            };
-        },
-        // Method to update the visual meters
-        setMeter (name, value) {
-            query(`#${name} b`).style.width = value;
-            query(`#${name} v`).innerHTML = value;
-        },
-        // Method to put the cat to sleep
-        sleep (centerOnCouch = true) {
-            this.state = CAT_STATES.ASLEEP;
-            resetTimers(this);
-            this.sleepTimer = 0;
-            // Hide food
-            game.food.isVisible = false;
-            // Center the cat on the couch for sleeping
-            if (centerOnCouch) {
-                this.centerOn(game.couch, 0, 0);
-            }
-        },
-        // Sleep timer in seconds
-        sleepTimer: 0,
-        // Method to start eating
-        startEating () {
-            this.state = CAT_STATES.EATING;
-            resetTimers(this);
-            this.eatingTimer = 0;
-            this.eatingSoundTimer = 0;
-            // Center the cat on the food bowl
-            this.centerOn(game.food, -10 * zoomFactor, -5 * zoomFactor);
-            soundFx('eat');
-        },
-        // Method to start seeking the couch
-        startSeekingCouch () {
-            this.state = CAT_STATES.SEEKING_COUCH;
-            resetTimers(this);
-        },
-        // Current state of the cat
-        state: CAT_STATES.AWAKE,
         // Called every frame to update the game
         update (dt) {
             const
-                // Scale distances according to zoom factor
-                activationDistance = BASE_ACTIVATION_DISTANCE * zoomFactor,
-                evolutionSpeedBoost = 1 + this.evolutionLevel * 0.1,
-                foodThreshold = BASE_FOOD_THRESHOLD * zoomFactor,
-                maxFollowDistance = BASE_MAX_FOLLOW_DISTANCE * zoomFactor,
-                maxSpeed = 5,
-                minDistance = BASE_MIN_DISTANCE * zoomFactor,
-                minSpeed = 0.5,
-                pointer = getPointer(),
-                pointerMoved =
-                    Math.abs(pointer.x - this.lastPointerX) > 0.5 ||
-                    Math.abs(pointer.y - this.lastPointerY) > 0.5,
-                // Store previous position to calculate distance moved
-                prevX = this.x,
-                prevY = this.y,
-                reengagementDistance = BASE_REENGAGEMENT_DISTANCE * zoomFactor,
-                scaled = this.scaled(),
-                /* eslint-disable sort-vars */
-                dx = (pointer.x / 2) - (this.x / 2),
-                dy = (pointer.y / 2) - (this.y / 2),
-                distance = calcDistance(pointer.x / 2, pointer.y / 2, this.x / 2, this.y / 2),
-                // Add safe check for division by zero
-                directionX = distance ? dx / distance : 0,
-                directionY = distance ? dy / distance : 0,
-                // Check if cat is engaged (in a position where it would move toward the pointer)
-                isEngaged = distance > minDistance && distance < maxFollowDistance &&
-                           this.state !== CAT_STATES.SEEKING_COUCH &&
-                           this.state !== CAT_STATES.EATING,
-                isOutsideRange = distance >= maxFollowDistance;
-                /* eslint-enable sort-vars */
+                {cat} = game.sim,
+                previous = this.previous && this.previous.sim === game.sim ? this.previous : null;
 
             // Update the current animation based on state and facing direction
-            this.currentAnimation = this.getAnimation();
+            this.currentAnimation = this.animations[catBrain.getAnimation(cat)];
             this.advance(dt);
-
-            // Update the last pointer position
-            this.lastPointerX = pointer.x;
-            this.lastPointerY = pointer.y;
-
-            // Evolution timer - only increment when happiness is at 100%
-            if (this.happinessMeter >= 100) {
-                this.evolutionTimer += dt;
-
-                // Check if evolution criteria is met
-                if (this.evolutionTimer >= this.evolutionTargetTime) {
-                    this.evolutionTimer = 0;
-                    this.updateEvolutionDisplay('Happiness…', true);
-                    this.evolve();
-                }
-            }
-
-            // Update facing direction based on pointer position or couch position if seeking couch
-            if (this.state === CAT_STATES.SEEKING_COUCH) {
-                // Face towards the couch
-                const toCouchX = game.couch.x - this.x;
-
-                if (toCouchX !== 0) {
-                    this.facingRight = toCouchX > 0;
-                }
-            } else if (dx !== 0 && this.state !== CAT_STATES.EATING) {
-                this.facingRight = dx > 0;
-            }
-
-            // Update meters
-            this.setMeter('happiness', `${this.happinessMeter.toFixed(0)}%`);
-            this.setMeter('exhaust', `${this.getStaminaPercent().toFixed(0)}%`);
-            if (this.happinessMeter >= 100) {
-                this.updateEvolutionDisplay('Evolving…', true);
-            } else {
-                this.updateEvolutionDisplay('Happiness');
-            }
-            query('#time v').innerHTML = formatTime(game.gameTime);
-            query('#level').innerHTML = LEVEL[this.evolutionLevel];
-
-            // Handle eating state
-            if (this.state === CAT_STATES.EATING) {
-                this.eatingTimer += dt;
-                // Increase happiness while eating
-                this.happinessMeter = Math.min(100, this.happinessMeter + 5 * dt);
-
-                // Check if eating is complete
-                if (this.eatingTimer >= EATING_DURATION) {
-                    this.eatingSoundTimer = 0;
-                    // Reset exhaust meter
-                    this.exhaustMeter = 0;
-                    // Return to awake state
-                    this.state = CAT_STATES.AWAKE;
-                    // Hide food bowl
-                    game.food.isVisible = false;
-                }
-                this.eatingSoundTimer += dt;
-                if (this.eatingSoundTimer >= 1) {
-                    soundFx('eat');
-                    this.eatingSoundTimer = 0;
-                }
-
-                // Don't process any other logic while eating
-                return;
-            }
-
-            // Handle seeking couch state
-            if (this.state === CAT_STATES.SEEKING_COUCH) {
-                // Calculate direction to couch
-                const
-                    couchX = game.couch.x - this.x,
-                    couchY = game.couch.y - this.y,
-                    distanceToCouch = calcDistance(game.couch.x, game.couch.y, this.x, this.y),
-                    moveSpeed = minSpeed + (maxSpeed - minSpeed) * 0.25,
-                    // Add safe check for division by zero
-                    toCouchX = distanceToCouch ? couchX / distanceToCouch : 0,
-                    toCouchY = distanceToCouch ? couchY / distanceToCouch : 0;
-
-                // Continue decreasing happiness while moving to couch
-                this.happinessMeter = Math.max(0, this.happinessMeter - dt);
-
-                // Check if cat has reached the couch
-                if (distanceToCouch <= COUCH_THRESHOLD) {
-                    // Cat has reached the couch, now start sleeping
-                    this.sleep();
-
-                    return;
-                }
-
-                // Move towards couch at a moderate speed
-                this.x = clamp(this.x + toCouchX * moveSpeed, 0, canvas.width - scaled.width);
-                this.y = clamp(this.y + toCouchY * moveSpeed, 0, canvas.height - scaled.height);
-
-                // Don't process any other logic while seeking couch
-                return;
-            }
-
-            // Handle asleep state
-            if (this.state === CAT_STATES.ASLEEP) {
-                this.sleepTimer += dt;
-                this.happinessMeter = Math.max(0, this.happinessMeter - dt);
-                if (this.sleepTimer >= SLEEP_DURATION) {
-                    this.state = CAT_STATES.AWAKE;
-                    this.sleepTimer = 0;
-                    // Reduce happiness by 10% when waking up from sleep
-                    this.happinessMeter = Math.max(0, this.happinessMeter * 0.90);
-                    // Adjust exhaust meter if waking from sleep
-                    this.exhaustMeter = Math.min(this.exhaustMeter, 50 * (this.evolutionLevel + 1));
-                }
-
-                // Don't process any other logic while asleep
-                return;
-            }
-
-            // Check if cat is close to food (when food is visible)
-            if (game.food.isVisible && this.state !== CAT_STATES.SEEKING_COUCH) {
-                const toFood = calcDistance(game.food.x, game.food.y, this.x, this.y);
-
-                // If cat is close enough to food, start eating
-                if (toFood <= foodThreshold) {
-                    this.startEating();
-
-                    return;
-                }
-            }
-
-            // Increment idle timers
-            if (!pointerMoved || isOutsideRange) {
-                this.idleTimer += dt;
-                if (isOutsideRange) {
-                    this.outsideRangeTimer += dt;
-                } else {
-                    this.outsideRangeTimer = 0;
-                }
-            } else if (isEngaged) {
-                // Only reset timers if the cat is actually engaged with the pointer
-                resetTimers(this);
-            }
-
-            // If exhausted or idle, require very close proximity to re-engage
-            if (this.state === CAT_STATES.EXHAUSTED || this.state === CAT_STATES.IDLE) {
-                // Check if cat should fall asleep after being idle for too long
-                if (this.state === CAT_STATES.IDLE && this.idleTimer >= IDLE_TO_SLEEP_TIMEOUT) {
-                    this.sleep(false);
-
-                    return;
-                }
-                // Check if cat should re-engage
-                if (distance < reengagementDistance && pointerMoved) {
-                    this.state = CAT_STATES.AWAKE;
-                    resetTimers(this);
-                } else {
-                    // Check if cat should become idle (from exhausted)
-                    if (this.idleTimer >= IDLE_TIMEOUT || this.outsideRangeTimer >= IDLE_TIMEOUT) {
-                        this.state = CAT_STATES.IDLE;
-                    }
-
-                    // Handle exhaust meter recovery based on state
-                    if (this.exhaustMeter > 0) {
-                        if (this.state === CAT_STATES.IDLE) {
-                            // Recover energy at a faster rate when idle
-                            this.exhaustMeter = recoveryRateCalculation(this.exhaustMeter, RECOVERY_RATE, dt, 1.5);
-                        } else {
-                            // Recover energy at the normal rate for other states
-                            this.exhaustMeter = recoveryRateCalculation(this.exhaustMeter, RECOVERY_RATE, dt);
-                        }
-                    }
-
-                    // Decrease happiness based on state
-                    if (this.state === CAT_STATES.IDLE) {
-                        this.happinessMeter = Math.max(0, this.happinessMeter - 2 * dt);
-                    } else if (this.state === CAT_STATES.EXHAUSTED) {
-                        this.happinessMeter = Math.max(0, this.happinessMeter - 4 * dt);
-                    }
-
-                    // Cat stays in current state
-                    return;
-                }
-            }
-
-            // Check if cat should become idle
-            if (this.idleTimer >= IDLE_TIMEOUT || this.outsideRangeTimer >= IDLE_TIMEOUT) {
-                this.state = CAT_STATES.IDLE;
-
-                return;
-            }
-
-            // Only move if we're far enough from the pointer BUT not too far
-            if (isEngaged) {
-                // Adjust speed based on distance (closer -> faster)
-                let speed = minSpeed;
-
-                if (distance < activationDistance) {
-                    // Calculate normalized distance (0 = closest, 1 = farthest)
-                    const normalizedDistance = distance / activationDistance;
-
-                    /*
-                     * Use a non-linear curve for more aggressive acceleration at closer distances
-                     * Square the normalized distance to create a steeper curve
-                     * This will make the cat accelerate more dramatically as it approaches the pointer
-                     */
-                    speed = (minSpeed + (maxSpeed - minSpeed) * (1 - normalizedDistance * normalizedDistance)) * evolutionSpeedBoost;
-                }
-
-                // Update cat's position and clamp to screen bounds
-                this.x = clamp(this.x + directionX * speed, 0, canvas.width - scaled.width);
-                this.y = clamp(this.y + directionY * speed, 0, canvas.height - scaled.height);
-
-                // Calculate actual distance moved if cat is not idle or asleep
-                if (this.state !== CAT_STATES.IDLE && this.state !== CAT_STATES.ASLEEP) {
-                    const distanceMoved = calcDistance(this.x, this.y, prevX, prevY);
-
-                    /*
-                     * Increase exhaust meter based on movement distance
-                     * Using a factor to convert pixel distance to exhaust units
-                     */
-                    this.exhaustMeter += distanceMoved * EXHAUST_FACTOR;
-
-                    // Increase happiness when cat is moving and interacting with the pointer
-                    if (pointerMoved && distanceMoved > 0) {
-                        this.happinessMeter = Math.min(100, this.happinessMeter + 6 * dt);
-                    }
-
-                    // Check exhaust thresholds
-                    if (this.exhaustMeter >= SLEEP_THRESHOLD) {
-                        // Start seeking couch instead of immediately sleeping
-                        this.startSeekingCouch();
-                    } else if (this.exhaustMeter >= 433 && !game.food.isVisible) {
-                        positionFood();
-                    } else if (this.exhaustMeter >= EXHAUST_THRESHOLD && this.state !== CAT_STATES.EXHAUSTED) {
-                        this.state = CAT_STATES.EXHAUSTED;
-                    }
-                }
+            hud.update(cat);
+            // Voice the state transitions of the cat, but not the jump to another run
+            if (previous && previous.happinessMeter < 100 && cat.happinessMeter >= 100) {
+                soundFx('purr', toStereo(cat));
             }
-            // When close to pointer or too far, do nothing - stay at current position
-
-            // Gradually reduce exhaust meter when not moving (only when not sleeping)
-            if (this.state !== CAT_STATES.ASLEEP && this.exhaustMeter > 0) {
-                // Recover energy at a slow rate when not moving
-                this.exhaustMeter = recoveryRateCalculation(this.exhaustMeter, RECOVERY_RATE, dt);
+            if (previous && previous.state === catBrain.CAT_STATES.ASLEEP && cat.state !== catBrain.CAT_STATES.ASLEEP) {
+                soundFx('meow', toStereo(cat));
             }
-        },
-        updateEvolutionDisplay (text = null, updateMeters = false) {
-            const evolutionMeter = query('#happiness i');
-
-            if (text) {
-                query('#happiness t').innerHTML = text;
-            }
-            if (updateMeters) {
-                evolutionMeter.style.width = this.getEvolutionPercent();
-                evolutionMeter.innerHTML = this.getEvolutionPercent();
+            if (previous && previous.state !== catBrain.CAT_STATES.SEEKING_COUCH && cat.state === catBrain.CAT_STATES.SEEKING_COUCH) {
+                soundFx('yawn', toStereo(cat));
             }
-        },
-        // Initialize position to center of canvas
-        x: setPosition(canvas.width, TILE_SIZE * zoomFactor),
-        y: setPosition(canvas.height, TILE_SIZE * zoomFactor)
+            this.previous = {
+                happinessMeter: cat.happinessMeter,
+                sim: game.sim,
+                state: cat.state
+            };
+        }
     });
 
-    // Setup the game loop
+    // Setup the game loop, which updates the simulation at a fixed time step
     game.loop = GameLoop({
+        fps: simulation.TICK_RATE,
         render () {
-            // Render couch first so it appears behind the cat
-            if (game.cat.evolutionLevel !== 2 || canvas.classList.contains(CLASS_LIGHTNING)) {
-                game.couch.render();
-                // Render food bowl if visible
-                if (game.food.isVisible) {
-                    game.food.render();
-                }
+            // Render the room, the couch and the food bowl first so they appear behind the cat
+            if (game.light) {
+                [game.room, game.couch, game.food].forEach((sprite) => {
+                    sprite.opacity = game.light;
+                    sprite.render();
+                });
             }
+            game.ghostCat.render();
             game.cat.render();
+            if (game.player || game.pointer.active) {
+                game.laser.render();
+            }
         },
         update (dt) {
-            game.gameTime += dt;
-            game.cat.update(dt);
+            let input = readInput(dt);
 
-            // Add lightning effect for storm evolution
-            if (game.cat.evolutionLevel === 2) {
-                game.lightningTimer ||= 0;
-                // Count down the timer
-                game.lightningTimer -= dt;
-
-                if (game.lightningTimer <= 0) {
-                    if (canvas.classList.contains(CLASS_LIGHTNING)) {
-                        // End the lightning flash
-                        setCanvasMode(CLASS_STORM);
-                        // Set cooldown until next potential lightning (2-6 seconds)
-                        game.lightningTimer = 2 + Math.random() * 4;
-                    } else if (Math.random() < 0.33) {
-                        // Create a lightning effect
-                        setCanvasMode(CLASS_LIGHTNING);
-                        soundFx('explosion');
-                        // Set duration for this lightning to almost 1 second
-                        game.lightningTimer = 0.83;
-                    }
+            // Ignore the steps left in the current frame once the loop is stopped
+            if (game.loop.isStopped) {
+                return;
+            }
+            if (game.player) {
+                playEvents();
+                if (game.loop.isStopped) {
+                    return;
                 }
+                input = game.player.next();
+            } else if (game.recorder) {
+                game.recorder.record(input);
+            }
+            game.laser.position = input;
+            hud.showControls();
+            simulation.step(game.sim, input, dt).forEach((event) => game.cat.onEvent(event));
+            if (game.ghostRecorder) {
+                game.ghostRecorder.record(game.sim);
             }
+            // Light up the room with lightning, fading it over a second like the sky when motion is reduced instead of flashing it
+            game.light = settings.isMotionReduced(game.settings) ? Math.max(0, Math.min(1, game.light + (isLit() ? dt : -dt))) : Number(isLit());
+            game.ghostCat.update(dt);
+            game.cat.update(dt);
+            music.update(game.sim.cat);
         }
     });
 
@@ -897,98 +962,227 @@ load('images/', ['cat.webp', 'couch.webp', 'food.webp', 'kitten.webp', 'order.we
                 object.render();
             });
         },
-        update () {
+        update (dt) {
+            hud.showControls();
+            game.scene.time += dt;
             game.scene.objects.forEach((object) => {
-                object.update();
+                object.update(dt);
             });
+            // Continue a replay once the scene has been shown for a while
+            if (game.player && game.scene.time >= REPLAY_SCENE_DELAY) {
+                if (game.ascended) {
+                    stopReplay();
+                } else {
+                    playEvents();
+                }
+            }
         }
     });
 
     // Start with the intro scene
-    renderScene(getSceneText('NOTHING MAKES THIS LITTLE KITTEN HAPPIER\nTHAN CHASING THE LITTLE RED DOT :)'), {
-        background: '#BBB',
-        color: '#000',
-        sheet: KITTEN
-    });
+    showIntro();
 
-    // Update the zoom factor and canvas dimensions on window resize
+    // Update the zoom factor and canvas dimensions on window resize, the run itself is not affected
     on(window, 'resize', () => {
         clearTimeout(resizeTimeout);
         // Debounce the resize event to avoid excessive calculations
-        resizeTimeout = setTimeout(() => {
-            setZoomFactor();
-            if (game.cat) {
-                game.cat.x = setPosition(canvas.width, game.cat.width);
-                game.cat.y = setPosition(canvas.height, game.cat.height);
-            }
-            if (game.couch) {
-                positionCouch();
-            }
-        }, DEBOUNCE_DELAY);
+        resizeTimeout = setTimeout(setZoomFactor, DEBOUNCE_DELAY);
     });
 
-    // Setup keyboard controls
-    on(document, 'keyup', (event) => {
-        const key = event.key;
-
-        // Stop the scene if running
-        if (!game.scene.isStopped) {
-            game.scene.stop();
-        }
-        // Handle continue, pause and unpause
-        if (key === 'Escape' || key === 'Enter') {
+    // Handle an input action, either live or fed back from a replay
+    game.onAction = (action) => {
+        // Handle continue, skip, pause and unpause
+        if (action === 'confirm' || action === 'pause' || action === 'skip') {
             if (game.loop.isStopped) {
-                if (game.intro) {
+                if (game.intro && action !== 'skip') {
                     game.intro = false;
-                    renderScene(getSceneText('A WISE OLD CAT APPEARS BEFORE YOU…\n“IT HAS BEEN EONS SINCE CATS HAVE CLASPED\nTHE CRIMSON DOT IN THEIR CLAWS… DO YOU\nHAVE WHAT IT TAKES TO JOIN THE ORDER?”', 'BEGIN'));
+                    renderScene(strings.get('challenge'), {
+                        action: strings.get('challenge.action'),
+                        typewriter: true
+                    });
                 } else if (game.ascended) {
                     game.ascended = false;
                     game.intro = true;
                     game.over = true;
-                    renderScene(getSceneText(`YOU ASCENDED IN ${formatTime(game.gameTime)}\nTHE ORDER WELCOMES YOU, BUT\nCHALLENGES YOU TO DO BETTER…`, 'TRY AGAIN'), {
-                        animation: 'ascended'
+                    renderScene(strings.get('ascended', {
+                        time: formatTime(game.sim.gameTime)
+                    }), {
+                        action: strings.get('ascended.action'),
+                        animation: 'ascended',
+                        background: palettes.get(game.settings.palette).storm,
+                        rows: getSplitRows(),
+                        typewriter: true
                     });
                 } else {
+                    // Skipping from the intro goes straight to the run
+                    game.intro = false;
                     if (game.over) {
                         // Reset game state for a new game
                         game.cat.animations = game.sheets.kitten.animations;
-                        game.cat.evolutionLevel = 0;
-                        game.cat.evolutionTargetTime = EVOLUTION_BASE_TIME;
-                        game.cat.evolutionTimer = 0;
-                        game.cat.distanceMoved = 0;
-                        game.cat.exhaustMeter = 0;
-                        game.cat.happinessMeter = 0;
-                        game.cat.state = CAT_STATES.AWAKE;
-                        game.food.isVisible = false;
-                        game.gameTime = 0;
                         game.over = false;
                     }
-                    game.loop.start();
-                    if (!game.muted) {
-                        music.start();
+                    // Start recording a fresh run
+                    if (!game.recorder && !game.player) {
+                        game.sim = simulation.create(newSeed(), settings.difficulty(game.settings));
+                        game.recorder = replay.createRecorder(game.sim);
+                        game.ghostRecorder = ghost.createRecorder();
+                        game.ghost = bestRun.ghost(game.sim.difficulty.preset);
+                        game.runSplits = [];
+                        game.unranked = false;
+                        save.clear();
+                        music.rewind();
+                        game.splits = splits.load(game.sim.difficulty.preset);
+                        hud.showSplit(null);
+                        hud.showSplits();
                     }
+                    game.scene.stop();
+                    game.loop.start();
+                    music.play(game.sim.cat.evolutionLevel);
                 }
-            } else {
+            } else if (action !== 'skip') {
                 game.loop.stop();
-                if (!game.muted) {
-                    music.stop();
-                }
-                // Pause scene
-                renderScene(getSceneText('GAME PAWSED'), {
-                    background: '#BBB',
-                    color: '#000',
-                    sheet: LEVEL[game.cat.evolutionLevel]
-                });
+                music.stop();
+                saveRun();
+                showPause();
             }
         }
-        // Mute or unmute audio
-        if (key === 'm') {
-            game.muted = !game.muted;
-            if (game.muted) {
-                music.stop();
-            } else {
-                music.start();
+        // Mute or unmute audio, but not for the mutes of a replay, which would change the setting of the player watching it
+        if (action === 'mute' && !game.player) {
+            mixer.toggleMute();
+        }
+        // Abandon the run and start a fresh one
+        if (action === 'restart' && game.recorder) {
+            game.recorder = null;
+            game.ghostRecorder = null;
+            game.over = true;
+            game.loop.stop();
+            music.stop();
+            setCanvasMode();
+            game.onAction('confirm');
+        }
+    };
+
+    // Handle a live input action, from a key or the touch screen
+    game.onInput = (action) => {
+        // The menus only take keys, taps and buttons do nothing while one is open
+        if (game.menu !== null || game.controlsMenu) {
+            return;
+        }
+        // Any live input ends a replay
+        if (game.player) {
+            stopReplay();
+
+            return;
+        }
+        // Confirming shows the rest of the scene text first, which is not part of the run
+        if (action === 'confirm' && game.loop.isStopped && game.scene.objects[1].advance()) {
+            return;
+        }
+        if (game.recorder && RECORDED_ACTIONS.includes(action)) {
+            game.recorder.action(action);
+        }
+        game.onAction(action);
+    };
+
+    // Handle a key released live
+    game.onKey = (key) => {
+        const action = controls.actionOf(game.bindings, key);
+
+        // Any live key ends a replay
+        if (game.player) {
+            stopReplay();
+
+            return;
+        }
+        // Edit the rules of the custom preset
+        if (game.menu !== null) {
+            updateRules(key);
+
+            return;
+        }
+        // Change the settings
+        if (game.controlsMenu) {
+            updateControls(key);
+
+            return;
+        }
+        // Continue the saved run, change the difficulty or the settings, or watch or save the best run from the intro
+        if (controls.INTRO_ACTIONS.includes(action)) {
+            const run = bestRun.run(game.settings.preset);
+
+            if (!game.intro || !game.loop.isStopped) {
+                return;
+            }
+            if (action === 'continue' && save.load()) {
+                startSavedRun();
+            } else if (action === 'difficulty') {
+                settings.cycle(game.settings);
+                settings.save(game.settings);
+                trackBestTime(game.settings.preset);
+                showIntro();
+            } else if (action === 'settings') {
+                game.controlsMenu = {
+                    index: 0,
+                    isBinding: false
+                };
+                showControls();
+            } else if (action === 'edit' && game.settings.preset === settings.CUSTOM) {
+                game.menu = 0;
+                showRules();
+            } else if (action === 'watch' && run) {
+                startReplay(run);
+            } else if (action === 'download' && run) {
+                downloadBestRun();
             }
+
+            return;
+        }
+        if (action) {
+            game.onInput(action);
+        }
+    };
+
+    // Setup keyboard controls, keeping track of the keys held down
+    on(document, 'keydown', (event) => heldKeys.add(controls.normalize(event.key)));
+    on(document, 'keyup', (event) => {
+        heldKeys.delete(controls.normalize(event.key));
+        game.onKey(event.key);
+    });
+    on(window, 'blur', () => heldKeys.clear());
+
+    // Setup touch controls, where tapping the canvas confirms and the buttons pause and mute
+    on(canvas, 'click', () => {
+        if (game.loop.isStopped || game.player) {
+            game.onInput('confirm');
+        }
+    });
+    on(query('#pause'), 'click', () => game.onInput('pause'));
+    on(query('#mute'), 'click', () => game.onInput('mute'));
+
+    // Save the run when the page is hidden, it may never be shown again
+    on(document, 'visibilitychange', () => {
+        if (document.hidden) {
+            saveRun();
+        }
+    });
+
+    // Watch a run from a replay file dropped onto the page
+    on(document, 'dragover', (event) => event.preventDefault());
+    on(document, 'drop', (event) => {
+        const [file] = event.dataTransfer.files;
+
+        event.preventDefault();
+        if (file && game.intro && game.loop.isStopped) {
+            file.text().then((contents) => {
+                const run = JSON.parse(contents);
+
+                // Verifying also rejects files that are not replays of this version
+                if (replay.verify(run).valid) {
+                    startReplay(run);
+                }
+            }).
+                // Ignore files that can not be read or are not JSON
+                catch(() => null);
         }
     });
 });
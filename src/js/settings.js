@@ -0,0 +1,151 @@
+/* eslint-disable no-mixed-operators */
+/* global localStorage, matchMedia */
+// Player settings kept in localStorage: difficulty, pointer speed, palette, language and reduced motion
+const
+    // Preset with the rules set by the player
+    CUSTOM = 'custom',
+    // Reduced motion follows the system, then is forced on and off
+    MOTION_MODES = [null, true, false],
+    // Preset of runs made before difficulty settings existed
+    NORMAL = 'normal',
+    // Rules of the fixed presets
+    PRESETS = {
+        easy: {
+            evolutionTimeFactor: 0.75,
+            exhaustThreshold: 393,
+            idleToSleepTimeout: 15,
+            recoveryRate: 7.5,
+            sleepDuration: 7,
+            sleepThreshold: 600
+        },
+        hard: {
+            evolutionTimeFactor: 1.25,
+            exhaustThreshold: 273,
+            idleToSleepTimeout: 7,
+            recoveryRate: 3.5,
+            sleepDuration: 13,
+            sleepThreshold: 460
+        },
+        normal: {
+            evolutionTimeFactor: 1,
+            exhaustThreshold: 333,
+            idleToSleepTimeout: 10,
+            recoveryRate: 5,
+            sleepDuration: 10,
+            sleepThreshold: 500
+        }
+    },
+    // Order in which the presets are cycled through
+    PRESET_NAMES = ['easy', NORMAL, 'hard', CUSTOM],
+    // Range and step of every rule of the custom preset, the food bowl appears at an exhaust of 433
+    RULES = {
+        evolutionTimeFactor: {
+            max: 2,
+            min: 0.5,
+            step: 0.25
+        },
+        exhaustThreshold: {
+            max: 413,
+            min: 193,
+            step: 20
+        },
+        idleToSleepTimeout: {
+            max: 30,
+            min: 3,
+            step: 1
+        },
+        recoveryRate: {
+            max: 10,
+            min: 1,
+            step: 0.5
+        },
+        sleepDuration: {
+            max: 20,
+            min: 3,
+            step: 1
+        },
+        sleepThreshold: {
+            max: 800,
+            min: 440,
+            step: 20
+        }
+    },
+    // Range and step of the sensitivity of the virtual pointer
+    SENSITIVITY = {
+        max: 3,
+        min: 0.25,
+        step: 0.25
+    },
+    // Storage key of the settings
+    STORAGE_KEY = 'ootcdSettings';
+
+export default {
+    CUSTOM,
+    NORMAL,
+    PRESETS,
+    PRESET_NAMES,
+    RULES,
+    SENSITIVITY,
+    // Change a custom rule by a number of steps within its range
+    adjust (settings, rule, steps) {
+        const {max, min, step} = RULES[rule];
+
+        settings.custom[rule] = Math.max(min, Math.min(max, settings.custom[rule] + steps * step));
+    },
+    // Change the sensitivity of the virtual pointer by a number of steps within its range
+    adjustSensitivity (settings, steps) {
+        settings.sensitivity = Math.max(SENSITIVITY.min, Math.min(SENSITIVITY.max, settings.sensitivity + steps * SENSITIVITY.step));
+    },
+    // Select the next preset
+    cycle (settings) {
+        settings.preset = PRESET_NAMES[(PRESET_NAMES.indexOf(settings.preset) + 1) % PRESET_NAMES.length];
+    },
+    // Switch to the next language, following the browser first
+    cycleLanguage (settings, languages) {
+        const modes = [null, ...languages];
+
+        settings.language = modes[(modes.indexOf(settings.language) + 1) % modes.length];
+    },
+    // Switch reduced motion to the next mode
+    cycleMotion (settings) {
+        settings.reducedMotion = MOTION_MODES[(MOTION_MODES.indexOf(settings.reducedMotion) + 1) % MOTION_MODES.length];
+    },
+    // Preset and rules a run is played with
+    difficulty (settings) {
+        return {
+            preset: settings.preset,
+            rules: settings.preset === CUSTOM
+                ? {
+                    ...settings.custom
+                }
+                : PRESETS[settings.preset]
+        };
+    },
+    // Whether motion is reduced, as the prefers-reduced-motion media query asks unless set
+    isMotionReduced (settings) {
+        return settings.reducedMotion ?? matchMedia('(prefers-reduced-motion: reduce)').matches;
+    },
+    // Load the settings, with the defaults for the ones not saved yet
+    load () {
+        return {
+            custom: {
+                ...PRESETS.normal
+            },
+            // Follows the browser until the player picks one
+            language: null,
+            palette: 'default',
+            preset: NORMAL,
+            reducedMotion: null,
+            sensitivity: 1,
+            ...JSON.parse(localStorage.getItem(STORAGE_KEY))
+        };
+    },
+    // Save the settings
+    save (settings) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    },
+    // Storage key tagged with a preset, the normal preset keeps the untagged key of older versions
+    tag (key, preset) {
+        return preset === NORMAL ? key : `${key}-${preset}`;
+    }
+};
@@ -0,0 +1,314 @@
+/* eslint-disable no-mixed-operators, sort-vars */
+// DOM-free simulation of a run in world units, the same for the same seed and input at a fixed time step
+import catBrain from './catBrain.js';
+import createRandom from './random.js';
+import pathfinding from './pathfinding.js';
+import placement from './placement.js';
+import rooms from './rooms.js';
+import settings from './settings.js';
+import stages from './stages.js';
+
+let
+    // Last collision grid built, with the room and furniture it was built for, as the furniture rarely moves
+    gridCache = {
+        grid: null,
+        key: null
+    };
+
+const
+    // Tiles the couch keeps from the edges of the level when it can
+    COUCH_MARGIN = 2,
+    // Tiles the food bowl keeps from the edges of the level when it can
+    FOOD_MARGIN = 1,
+    // Level dimensions in tiles
+    LEVEL_HEIGHT = 10,
+    LEVEL_WIDTH = 22,
+    // Size of each tile in world units
+    TILE_SIZE = 32,
+    // Level dimensions in world units
+    BOUNDS = {
+        height: LEVEL_HEIGHT * TILE_SIZE,
+        width: LEVEL_WIDTH * TILE_SIZE
+    },
+    // Tiles furniture keeps from the cat when it is placed
+    MIN_CAT_DISTANCE = 3,
+    // Tiles the food bowl keeps from the couch when it can
+    MIN_COUCH_DISTANCE = 4,
+    // Sprite dimensions in world units
+    SIZES = {
+        cat: {
+            height: TILE_SIZE,
+            width: TILE_SIZE
+        },
+        couch: {
+            height: TILE_SIZE,
+            width: 2 * TILE_SIZE
+        },
+        food: {
+            height: TILE_SIZE,
+            width: TILE_SIZE
+        }
+    },
+    // Environment of the stages with lightning
+    STORM = 'storm',
+    // Simulation steps per second
+    TICK_RATE = 60,
+    // Function to calculate distance between two points
+    calcDistance = (x1, y1, x2, y2) => {
+        const
+            dx = x1 - x2,
+            dy = y1 - y2;
+
+        // Calculate Euclidean distance
+        return Math.sqrt(dx * dx + dy * dy);
+    },
+    // Rectangle of a sprite at a position
+    rectOf = (position, size) => ({
+        ...position,
+        height: size.height,
+        width: size.width
+    }),
+    // Room layout of the current stage
+    getRoom = (sim) => rooms.get(stages.get(sim.cat.evolutionLevel).room),
+    // Rules of the difficulty scaled by the room of the current stage
+    getRules = (sim) => rooms.rules(getRoom(sim), sim.difficulty.rules),
+    // Grid of the level with the tiles of the room holding a matching piece blocked
+    getRoomGrid = (sim, test) => {
+        const grid = pathfinding.create(LEVEL_WIDTH, LEVEL_HEIGHT, TILE_SIZE);
+
+        rooms.cells(getRoom(sim)).filter(({name}) => test(rooms.PIECES[name])).forEach(({column, row}) => pathfinding.block(grid, {
+            height: grid.tileSize,
+            width: grid.tileSize,
+            x: column * grid.tileSize,
+            y: row * grid.tileSize
+        }));
+
+        return grid;
+    },
+    // Collision grid of the level with the blocking pieces of the room and the couch blocked, and the food bowl while it shows, built again only once one of them changed
+    getGrid = (sim) => {
+        const key = [getRoom(sim).name, sim.couch.x, sim.couch.y, sim.food.isVisible && sim.food.x, sim.food.isVisible && sim.food.y].join();
+
+        if (gridCache.key !== key) {
+            const grid = getRoomGrid(sim, (piece) => piece.isBlocking);
+
+            pathfinding.block(grid, rectOf(sim.couch, SIZES.couch));
+            if (sim.food.isVisible) {
+                pathfinding.block(grid, rectOf(sim.food, SIZES.food));
+            }
+            gridCache = {
+                grid,
+                key
+            };
+        }
+
+        return gridCache.grid;
+    },
+    // Geometry of the world the cat lives in
+    getWorld = (sim) => ({
+        bounds: BOUNDS,
+        couch: rectOf(sim.couch, SIZES.couch),
+        difficulty: sim.difficulty.rules,
+        food: rectOf(sim.food, SIZES.food),
+        grid: getGrid(sim),
+        room: getRoom(sim),
+        rules: getRules(sim),
+        size: rectOf({}, SIZES.cat)
+    }),
+    // Distance in tiles between the centres of the cat and of furniture of a size at a spot
+    tilesFromCat = (sim, spot, size) => calcDistance(
+        (sim.cat.x + SIZES.cat.width / 2) / TILE_SIZE,
+        (sim.cat.y + SIZES.cat.height / 2) / TILE_SIZE,
+        spot.column + size.columns / 2,
+        spot.row + size.rows / 2
+    ),
+    // Columns and rows of tiles furniture of a size covers
+    tilesOf = (size) => ({
+        columns: size.width / TILE_SIZE,
+        rows: size.height / TILE_SIZE
+    }),
+    // Whether furniture of a size at a spot keeps a number of tiles from the edges of the level
+    isInside = (spot, size, margin) => spot.column >= margin && spot.row >= margin &&
+        spot.column + size.columns <= LEVEL_WIDTH - margin && spot.row + size.rows <= LEVEL_HEIGHT - margin,
+    // Whether a spot is one of the tiles the room marks, or the room marks none
+    isMarked = (marks, spot) => !marks || marks.some(({column, row}) => column === spot.column && row === spot.row),
+    // Put furniture on a tile
+    setTile = (object, tile) => Object.assign(object, {
+        column: tile.column,
+        row: tile.row,
+        x: tile.column * TILE_SIZE,
+        y: tile.row * TILE_SIZE
+    }),
+    // Grid of the tiles furniture can not stand on, the pieces of the room that are not clear and the named furniture
+    getPlacementGrid = (sim, furniture) => {
+        const grid = getRoomGrid(sim, (piece) => !piece.isClear);
+
+        furniture.forEach((name) => pathfinding.block(grid, rectOf(sim[name], SIZES[name])));
+
+        return grid;
+    },
+    // Place the couch on clear tiles of the room off the food bowl, away from the cat, on a tile the room marks and off the edges when it can
+    placeCouch = (sim) => {
+        const
+            size = tilesOf(SIZES.couch),
+            room = getRoom(sim),
+            isAwayFromCat = (spot) => tilesFromCat(sim, spot, size) >= MIN_CAT_DISTANCE,
+            isOnMark = (spot) => isMarked(room.couch, spot),
+            isOffEdges = (spot) => isInside(spot, size, COUCH_MARGIN),
+            spot = placement.pick(placement.spots(getPlacementGrid(sim, sim.food.isVisible ? ['food'] : []), size), [isAwayFromCat, isOnMark, isOffEdges], sim.random);
+
+        if (spot) {
+            setTile(sim.couch, spot);
+        }
+    },
+    // Place the food bowl on clear tiles of the room off the couch, away from the cat, on a tile the room marks, away from the couch and off the edges when it can
+    placeFood = (sim) => {
+        const
+            size = tilesOf(SIZES.food),
+            couchSize = tilesOf(SIZES.couch),
+            room = getRoom(sim),
+            isAwayFromCat = (spot) => tilesFromCat(sim, spot, size) >= MIN_CAT_DISTANCE,
+            isOnMark = (spot) => isMarked(room.food, spot),
+            isAwayFromCouch = (spot) => calcDistance(spot.column + size.columns / 2, spot.row + size.rows / 2, sim.couch.column + couchSize.columns / 2, sim.couch.row + couchSize.rows / 2) >= MIN_COUCH_DISTANCE,
+            isOffEdges = (spot) => isInside(spot, size, FOOD_MARGIN),
+            spot = placement.pick(placement.spots(getPlacementGrid(sim, ['couch']), size), [isAwayFromCat, isOnMark, isAwayFromCouch, isOffEdges], sim.random);
+
+        if (spot) {
+            setTile(sim.food, spot);
+            sim.food.isVisible = true;
+        }
+    },
+    // Calculate centered position for an object of size 'b' within a dimension 'a'
+    setPosition = (a, b) => (a - b) / 2,
+    // Center the cat in the level
+    centerCat = (sim) => {
+        sim.cat.x = setPosition(BOUNDS.width, SIZES.cat.width);
+        sim.cat.y = setPosition(BOUNDS.height, SIZES.cat.height);
+    },
+    // Apply the consequences of a cat event to the world
+    handleCatEvent = (sim, event) => {
+        switch (event.type) {
+        case 'evolved':
+            // Reposition couch and calm the sky for the new level, a bowl left out is put back on the tiles of the new room
+            if (sim.food.isVisible) {
+                sim.food.isVisible = false;
+                placeCouch(sim);
+                placeFood(sim);
+            } else {
+                placeCouch(sim);
+            }
+            sim.lightning = false;
+            sim.lightningTimer = 0;
+            break;
+        case 'foodHidden':
+            sim.food.isVisible = false;
+            break;
+        case 'foodRequested':
+            placeFood(sim);
+            break;
+        default:
+            break;
+        }
+    },
+    // Add lightning effect for storm evolution
+    updateLightning = (sim, dt, events) => {
+        if (stages.get(sim.cat.evolutionLevel).environment !== STORM) {
+            return;
+        }
+        // Count down the timer
+        sim.lightningTimer -= dt;
+
+        if (sim.lightningTimer <= 0) {
+            if (sim.lightning) {
+                // End the lightning flash
+                sim.lightning = false;
+                // Set cooldown until next potential lightning (2-6 seconds)
+                sim.lightningTimer = sim.random.range(2, 6);
+                events.push({
+                    type: 'lightningEnded'
+                });
+            } else if (sim.random.next() < 0.33) {
+                // Create a lightning effect
+                sim.lightning = true;
+                // Set duration for this lightning to almost 1 second
+                sim.lightningTimer = 0.83;
+                events.push({
+                    type: 'lightningStarted'
+                });
+            }
+        }
+    };
+
+export default {
+    BOUNDS,
+    LEVEL_HEIGHT,
+    LEVEL_WIDTH,
+    SIZES,
+    STORM,
+    TICK_RATE,
+    TILE_SIZE,
+    // Create a new run from a seed, played with the preset and rules of a difficulty
+    create (seed, difficulty = settings.difficulty({preset: settings.NORMAL})) {
+        const sim = {
+            cat: catBrain.create(0, 0, rooms.rules(rooms.get(stages.get(0).room), difficulty.rules)),
+            couch: {
+                column: 0,
+                row: 0,
+                x: 0,
+                y: 0
+            },
+            difficulty,
+            food: {
+                column: 0,
+                isVisible: false,
+                row: 0,
+                x: 0,
+                y: 0
+            },
+            gameTime: 0,
+            lightning: false,
+            lightningTimer: 0,
+            random: createRandom(seed),
+            seed
+        };
+
+        centerCat(sim);
+        placeCouch(sim);
+
+        return sim;
+    },
+    // Continue a run from its serialized state
+    restore (data) {
+        return {
+            ...data,
+            random: createRandom(data.random)
+        };
+    },
+    // Rules the run is played with in the room of the current stage
+    rules (sim) {
+        return getRules(sim);
+    },
+    // Plain data of a run, from which it can be restored
+    serialize (sim) {
+        return {
+            ...sim,
+            random: sim.random.state()
+        };
+    },
+    // Advance the run by one fixed time step and return the events that happened
+    step (sim, input, dt = 1 / TICK_RATE) {
+        const
+            events = [],
+            result = catBrain.update(sim.cat, input, dt, getWorld(sim));
+
+        sim.gameTime += dt;
+        sim.cat = result.state;
+        result.events.forEach((event) => {
+            handleCatEvent(sim, event);
+            events.push(event);
+        });
+        updateLightning(sim, dt, events);
+
+        return events;
+    }
+};
@@ -0,0 +1,77 @@
+/* eslint-disable no-extra-parens */
+/* global localStorage */
+// Speedrun splits of every difficulty preset, the personal best run and the best time of every segment
+import settings from './settings.js';
+import stages from './stages.js';
+
+const
+    // Storage key of the single best time kept before splits existed
+    LEGACY_KEY = 'ootcdBest',
+    // Storage key of the splits record
+    STORAGE_KEY = 'ootcdSplits',
+    // Segment durations from split times
+    toSegments = (times) => times.map((time, index) => (time === null ? null : time - (times[index - 1] || 0)));
+
+export default {
+    // Compare a split to the personal best, negative when ahead
+    compare (record, stage, time) {
+        const pb = record.pb[stage];
+
+        return pb === null || typeof pb === 'undefined' ? null : time - pb;
+    },
+    // Load the record of a preset, migrating the legacy best time when needed
+    load (preset) {
+        const
+            empty = Array(stages.evolutions()).fill(null),
+            legacy = preset === settings.NORMAL && parseFloat(localStorage.getItem(LEGACY_KEY)),
+            stored = JSON.parse(localStorage.getItem(settings.tag(STORAGE_KEY, preset)));
+
+        // Splits of another number of stages can not be compared
+        if (stored && stored.pb.length === empty.length) {
+            return stored;
+        }
+        if (legacy) {
+            // Only the final split of the legacy best run is known
+            return {
+                best: empty,
+                pb: [...empty.slice(1), legacy]
+            };
+        }
+
+        return {
+            best: empty,
+            pb: empty
+        };
+    },
+    // Total time of the personal best, or Infinity without one
+    pbTime (record) {
+        return record.pb[record.pb.length - 1] || Infinity;
+    },
+    // Save the record of a preset, replacing the legacy best time
+    save (record, preset) {
+        localStorage.setItem(settings.tag(STORAGE_KEY, preset), JSON.stringify(record));
+        if (preset === settings.NORMAL) {
+            localStorage.removeItem(LEGACY_KEY);
+        }
+    },
+    // Sum of the best segments, or null while a segment has no time yet
+    sumOfBest (record) {
+        return record.best.includes(null)
+            ? null
+            : record.best.reduce((sum, segment) => sum + segment, 0);
+    },
+    // Record with the splits of a finished run applied and whether it is a new personal best
+    update (record, times) {
+        const
+            isBest = times[times.length - 1] < this.pbTime(record),
+            segments = toSegments(times);
+
+        return {
+            isBest,
+            record: {
+                best: record.best.map((best, index) => (best === null ? segments[index] : Math.min(best, segments[index]))),
+                pb: isBest ? [...times] : record.pb
+            }
+        };
+    }
+};
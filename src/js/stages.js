@@ -0,0 +1,21 @@
+// Stage definitions, one per evolution level, loaded from data/stages.json at startup
+let definitions = [];
+
+export default {
+    // Use a list of stage definitions
+    define (list) {
+        definitions = list;
+    },
+    // Number of evolutions in a run
+    evolutions () {
+        return definitions.length - 1;
+    },
+    // Stage definition of an evolution level
+    get (level) {
+        return definitions[level];
+    },
+    // Every stage definition in order
+    list () {
+        return definitions;
+    }
+};
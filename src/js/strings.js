@@ -0,0 +1,63 @@
+/* global fetch */
+// Text of the scenes and the HUD by message id, from the language packs of data/lang with English as fallback
+const
+    // Language every message exists in
+    FALLBACK = 'en',
+    // Languages with a pack, by their own name
+    LANGUAGES = {
+        en: 'ENGLISH',
+        es: 'ESPAÑOL',
+        fr: 'FRANÇAIS'
+    },
+    // Path of the language packs
+    PATH = 'data/lang/',
+    // Placeholder of a parameter in a message
+    PLACEHOLDER = /\{(?<name>\w+)\}/gu,
+    // Loaded packs by language
+    packs = {};
+
+let current = FALLBACK;
+
+export default {
+    FALLBACK,
+    LANGUAGES,
+    // Use a language pack
+    define (language, pack) {
+        packs[language] = pack;
+    },
+    // Language with a pack matching a browser language such as fr-CA, or the fallback
+    detect (language) {
+        const code = (language || '').slice(0, 2).toLowerCase();
+
+        return LANGUAGES[code] ? code : FALLBACK;
+    },
+    // Message in the current language with its placeholders filled in, or its id when there is none
+    get (id, params = {}) {
+        const message = (packs[current] || {})[id] ?? (packs[FALLBACK] || {})[id] ?? id;
+
+        return message.replace(PLACEHOLDER, (match, name) => params[name] ?? match);
+    },
+    // Language in use
+    language () {
+        return current;
+    },
+    // Load the pack of a language and the fallback one, unless they are loaded already, and switch to it
+    load (language) {
+        return Promise.all([...new Set([FALLBACK, language])].filter((code) => !packs[code]).map((code) => fetch(`${PATH}${code}.json`).
+            then((response) => response.json()).
+            then((pack) => this.define(code, pack)))).
+            then(() => this.use(language));
+    },
+    // Show the messages of the marked elements of a page in the language in use
+    translate (page) {
+        page.documentElement.lang = current;
+        page.querySelectorAll('[data-message]').forEach((element) => {
+            element.textContent = this.get(element.dataset.message);
+        });
+        page.querySelectorAll('[data-label]').forEach((element) => element.setAttribute('aria-label', this.get(element.dataset.label)));
+    },
+    // Switch to a language, the fallback for one without a pack
+    use (language) {
+        current = LANGUAGES[language] ? language : FALLBACK;
+    }
+};
@@ -0,0 +1,93 @@
+/* global document */
+/* eslint-disable no-mixed-operators */
+// Pictures of the rooms, drawn once per room with plain shapes
+import rooms from './rooms.js';
+import simulation from './simulation.js';
+
+const
+    // Colours of the pieces
+    COLORS = {
+        book: ['#B22', '#27B', '#2A4', '#DB2'],
+        glass: '#9CF',
+        post: '#DCA',
+        rug: '#A46',
+        rugBorder: '#723',
+        shelf: '#753',
+        sill: '#CCC',
+        window: '#EEE'
+    },
+    // Draw a piece on the tile of a room at a column and row
+    painters = {
+        rug (context, room, column, row) {
+            const isRug = (columnStep, rowStep) => rooms.pieceAt(room, column + columnStep, row + rowStep) === rooms.PIECES.rug;
+
+            context.fillStyle = COLORS.rug;
+            context.fillRect(0, 0, simulation.TILE_SIZE, simulation.TILE_SIZE);
+            context.fillStyle = COLORS.rugBorder;
+            context.fillRect(12, 12, 8, 8);
+            if (!isRug(0, -1)) {
+                context.fillRect(0, 0, simulation.TILE_SIZE, 4);
+            }
+            if (!isRug(0, 1)) {
+                context.fillRect(0, simulation.TILE_SIZE - 4, simulation.TILE_SIZE, 4);
+            }
+            if (!isRug(-1, 0)) {
+                context.fillRect(0, 0, 4, simulation.TILE_SIZE);
+            }
+            if (!isRug(1, 0)) {
+                context.fillRect(simulation.TILE_SIZE - 4, 0, 4, simulation.TILE_SIZE);
+            }
+        },
+        shelf (context) {
+            context.fillStyle = COLORS.shelf;
+            context.fillRect(0, 0, simulation.TILE_SIZE, simulation.TILE_SIZE);
+            COLORS.book.forEach((color, index) => {
+                context.fillStyle = color;
+                context.fillRect(4 + index * 6, 4, 5, 10);
+                context.fillRect(26 - index * 6, 18, 5, 10);
+            });
+        },
+        tree (context) {
+            context.fillStyle = COLORS.post;
+            context.fillRect(13, 8, 6, simulation.TILE_SIZE - 8);
+            context.fillRect(4, simulation.TILE_SIZE - 4, simulation.TILE_SIZE - 8, 4);
+            context.fillStyle = COLORS.rug;
+            context.fillRect(2, 2, simulation.TILE_SIZE - 4, 8);
+        },
+        window (context) {
+            context.fillStyle = COLORS.window;
+            context.fillRect(2, 0, simulation.TILE_SIZE - 4, 24);
+            context.fillStyle = COLORS.glass;
+            context.fillRect(5, 3, 10, 18);
+            context.fillRect(17, 3, 10, 18);
+            context.fillStyle = COLORS.sill;
+            context.fillRect(0, 24, simulation.TILE_SIZE, 6);
+        }
+    },
+    // Pictures of the rooms by name
+    pictures = {};
+
+export default {
+    // Draw the pieces of a room on a canvas context the size of the level
+    draw (context, room) {
+        rooms.cells(room).forEach(({column, name, row}) => {
+            context.save();
+            context.translate(column * simulation.TILE_SIZE, row * simulation.TILE_SIZE);
+            painters[name](context, room, column, row);
+            context.restore();
+        });
+    },
+    // Picture of a room the size of the level, drawn the first time it is asked for
+    picture (room) {
+        if (!pictures[room.name]) {
+            const canvas = document.createElement('canvas');
+
+            canvas.width = room.tiles[0].length * simulation.TILE_SIZE;
+            canvas.height = room.tiles.length * simulation.TILE_SIZE;
+            this.draw(canvas.getContext('2d'), room);
+            pictures[room.name] = canvas;
+        }
+
+        return pictures[room.name];
+    }
+};
@@ -0,0 +1,69 @@
+/* eslint-disable no-mixed-operators */
+// Virtual pointer steered by the arrow keys, WASD or an analog stick, taking over from the mouse
+const
+    // Speed gained per second while a direction is held, in world units per second
+    ACCELERATION = 480,
+    // Stick deflection that is ignored as drift
+    DEAD_ZONE = 0.2,
+    // Speeds in world units per second
+    MAX_SPEED = 360,
+    MIN_SPEED = 60,
+    // Clamp a value between a minimum and maximum
+    clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+export default {
+    // Create a virtual pointer, handing control to the mouse
+    create () {
+        return {
+            active: false,
+            mouseX: 0,
+            mouseY: 0,
+            speed: 0,
+            x: 0,
+            y: 0
+        };
+    },
+    // Direction of an analog stick, with the drift of a resting stick removed
+    stick (x, y) {
+        return Math.hypot(x, y) < DEAD_ZONE
+            ? {
+                x: 0,
+                y: 0
+            }
+            : {
+                x,
+                y
+            };
+    },
+    // Move the pointer along a direction and return the position the cat follows, within the bounds and scaled by the sensitivity
+    update (pointer, mouse, direction, dt, options) {
+        const
+            length = Math.hypot(direction.x, direction.y),
+            speed = clamp(pointer.speed + ACCELERATION * dt, MIN_SPEED, MAX_SPEED),
+            // Keys held diagonally are not faster, a stick moves slower when barely pushed
+            step = speed * options.sensitivity * dt / Math.max(1, length);
+
+        // Moving the mouse hands control back to it
+        if (mouse.x !== pointer.mouseX || mouse.y !== pointer.mouseY) {
+            pointer.active = false;
+            pointer.mouseX = mouse.x;
+            pointer.mouseY = mouse.y;
+        }
+        if (!length) {
+            pointer.speed = 0;
+
+            return pointer.active ? pointer : mouse;
+        }
+        // Take over from where the mouse was
+        if (!pointer.active) {
+            pointer.active = true;
+            pointer.x = mouse.x;
+            pointer.y = mouse.y;
+        }
+        pointer.speed = speed;
+        pointer.x = clamp(pointer.x + direction.x * step, 0, options.bounds.width);
+        pointer.y = clamp(pointer.y + direction.y * step, 0, options.bounds.height);
+
+        return pointer;
+    }
+};
@@ -1,9 +1,14 @@
-﻿const
+﻿import createRandom from './random.js';
+
+const
+    // Seeded random generator, so every run generates identical sounds
+    zzfxRandom = createRandom(2025),
+
     // Sound player -- returns a AudioBufferSourceNode
     zzfxP = (...t) => { let e = zzfxX.createBufferSource(), f = zzfxX.createBuffer(t.length, t[0].length, zzfxR); t.map((d, i) => f.getChannelData(i).set(d)), e.buffer = f, e.connect(zzfxX.destination), e.start(); return e },
 
     // Sound generator -- returns an array of sample data
-    zzfxG = (q = 1, k = .05, c = 220, e = 0, t = 0, u = .1, r = 0, F = 1, v = 0, z = 0, w = 0, A = 0, l = 0, B = 0, x = 0, G = 0, d = 0, y = 1, m = 0, C = 0) => { let b = 2 * Math.PI, H = v *= 500 * b / zzfxR ** 2, I = (0 < x ? 1 : -1) * b / 4, D = c *= (1 + 2 * k * Math.random() - k) * b / zzfxR, Z = [], g = 0, E = 0, a = 0, n = 1, J = 0, K = 0, f = 0, p, h; e = 99 + zzfxR * e; m *= zzfxR; t *= zzfxR; u *= zzfxR; d *= zzfxR; z *= 500 * b / zzfxR ** 3; x *= b / zzfxR; w *= b / zzfxR; A *= zzfxR; l = zzfxR * l | 0; for (h = e + m + t + u + d | 0; a < h; Z[a++] = f)++K % (100 * G | 0) || (f = r ? 1 < r ? 2 < r ? 3 < r ? Math.sin((g % b) ** 3) : Math.max(Math.min(Math.tan(g), 1), -1) : 1 - (2 * g / b % 2 + 2) % 2 : 1 - 4 * Math.abs(Math.round(g / b) - g / b) : Math.sin(g), f = (l ? 1 - C + C * Math.sin(2 * Math.PI * a / l) : 1) * (0 < f ? 1 : -1) * Math.abs(f) ** F * q * zzfxV * (a < e ? a / e : a < e + m ? 1 - (a - e) / m * (1 - y) : a < e + m + t ? y : a < h - d ? (h - a - d) / u * y : 0), f = d ? f / 2 + (d > a ? 0 : (a < h - d ? 1 : (h - a) / d) * Z[a - d | 0] / 2) : f), p = (c += v += z) * Math.sin(E * x - I), g += p - p * B * (1 - 1E9 * (Math.sin(a) + 1) % 2), E += p - p * B * (1 - 1E9 * (Math.sin(a) ** 2 + 1) % 2), n && ++n > A && (c += w, D += w, n = 0), !l || ++J % l || (c = D, v = H, n = n || 1); return Z },
+    zzfxG = (q = 1, k = .05, c = 220, e = 0, t = 0, u = .1, r = 0, F = 1, v = 0, z = 0, w = 0, A = 0, l = 0, B = 0, x = 0, G = 0, d = 0, y = 1, m = 0, C = 0) => { let b = 2 * Math.PI, H = v *= 500 * b / zzfxR ** 2, I = (0 < x ? 1 : -1) * b / 4, D = c *= (1 + 2 * k * zzfxRandom.next() - k) * b / zzfxR, Z = [], g = 0, E = 0, a = 0, n = 1, J = 0, K = 0, f = 0, p, h; e = 99 + zzfxR * e; m *= zzfxR; t *= zzfxR; u *= zzfxR; d *= zzfxR; z *= 500 * b / zzfxR ** 3; x *= b / zzfxR; w *= b / zzfxR; A *= zzfxR; l = zzfxR * l | 0; for (h = e + m + t + u + d | 0; a < h; Z[a++] = f)++K % (100 * G | 0) || (f = r ? 1 < r ? 2 < r ? 3 < r ? Math.sin((g % b) ** 3) : Math.max(Math.min(Math.tan(g), 1), -1) : 1 - (2 * g / b % 2 + 2) % 2 : 1 - 4 * Math.abs(Math.round(g / b) - g / b) : Math.sin(g), f = (l ? 1 - C + C * Math.sin(2 * Math.PI * a / l) : 1) * (0 < f ? 1 : -1) * Math.abs(f) ** F * q * zzfxV * (a < e ? a / e : a < e + m ? 1 - (a - e) / m * (1 - y) : a < e + m + t ? y : a < h - d ? (h - a - d) / u * y : 0), f = d ? f / 2 + (d > a ? 0 : (a < h - d ? 1 : (h - a) / d) * Z[a - d | 0] / 2) : f), p = (c += v += z) * Math.sin(E * x - I), g += p - p * B * (1 - 1E9 * (Math.sin(a) + 1) % 2), E += p - p * B * (1 - 1E9 * (Math.sin(a) ** 2 + 1) % 2), n && ++n > A && (c += w, D += w, n = 0), !l || ++J % l || (c = D, v = H, n = n || 1); return Z },
 
     // Global volume
     zzfxV = 0.1,
@@ -11,8 +16,8 @@
     // Global sample rate
     zzfxR = 44100,
 
-    // Common audio context
-    zzfxX = new (window.AudioContext || webkitAudioContext),
+    // Common audio context, there is none in the worker rendering the music
+    zzfxX = typeof window === 'undefined' ? null : new (window.AudioContext || webkitAudioContext),
 
     // Universal entry point -- returns a AudioBufferSourceNode
     zzfx = (...t) => zzfxP(zzfxG(...t)),
@@ -23,14 +28,24 @@
     eat = zzfxG(...[, , 381, .06, .21, .24, 1, .5, -3, -1, , , , , , , , .69, .21]),
     evolve = zzfxG(...[,,448,.02,.27,.15,,4,,-220,492,.15,,,,.1,,.79,.22]),
     explosion = zzfxG(...[, , 333, .01, 0, .9, 4, 1.9, , , , , , .5, , .6]),
+    meow = zzfxG(...[.8, .05, 600, .05, .12, .2, , 1.8, 6, -.4]),
+    purr = zzfxG(...[.6, , 45, .1, .6, .3, 1, 2, , , , , .04, .3]),
+    yawn = zzfxG(...[.7, .05, 400, .15, .4, .4, , 1.5, -2, , , , , , , , , .8]),
 
     // Order of the Crimson Dot song | (C) Nathan Reinauer | https://github.com/nathanreinauer
-    song = zzfxM(...[[[,0,31,,.15,.2,3,5],[.4,0,976,,,.15,2,.2,-.1,-.15,9,.02,,.1,.12,,.23],[,0,247,.01,.14,.15,2,,,,,,154.87,.3,,,.25],[3.5,0,84,,,,,.7,,,,.5,,6.7,1,.05],[,0,655,,,.11,2,1.65,,,,,,3.8,-.1,.1],[.9,0,4e3,,,.03,2,1.25,,,,,.02,6.8,-.3,,.5],[.3,0,124,.15,.2,.5,3]],[[[,,15,,,,15,,,,15,,,15,,,14,,12,,,,12,,,,12,,,12,,,10,,7,,,,7,,,,7,,,7,,,14,,7,,,,7,,,,10,,,12,,,14,,],[2,,,,,22,,,19,,,,,22,,,19,,,,,22,,,24,,,,,22,,,24,,,,,22,,,21,,,,,22,,,21,,,,,27,,,26,,,,,24,,,22,,],[4,,,,,,13,,,,,,,,13,,,,,,,,13,,,,,,,,13,,,,,,,,13,,,,,,,,13,,,,,,,,13,,,,,,,1,13,,25,,],[5,,,,13,13,,,13,13,,13,13,,,,13,13,,,13,13,,,13,13,,13,13,,,,13,13,,,13,13,,,13,13,,13,13,,,,13,13,,,13,13,,,13,13,,13,13,,,,13,13]],[[,,15,,,,15,,,,15,,,15,,,14,,12,,,,12,,,,12,,,12,,,10,,7,,,,7,,,,7,,,7,,,14,,7,,,,7,,,,10,,,12,,,14,,],[1,1,10,,15,,14,,15,,10,,15,,14,,15,,12,,15,,14,,15,,12,,15,,14,,15,,10,,15,,14,,15,,10,,15,,14,,15,,10,,15,,14,,15,,10,,15,,14,,15,,],[2,,,,,22,,,19,,,,,22,,,19,,,,,22,,,24,,,,,22,,,24,,,,,22,,,21,,,,,22,,,21,,,,,27,,,26,,,,,24,,,22,,],[3,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,],[4,,,,,,13,,,,,,,,13,,,,,,,,13,,,,,,,,13,,,,,,,,13,,,,,,,,13,,,,,,,,13,,,,,,,1,13,,25,,],[5,-1,,,13,13,,,13,13,,13,13,,,,13,13,,,13,13,,,13,13,,13,13,,,,13,13,,,13,13,,,13,13,,13,13,,,,13,13,,,13,13,,,13,13,,13,13,,,,13,13],[6,-.3,15,,,,,,,,,,,,17,,,,15,,,,,,,,,,,,17,,,,14,12,10,,,,,,,,,,,,,,,,,,,,,,,,,,,,,,],[6,.3,19,,,,,,,,,,,,22,,,,19,,,,,,,,,,,,20,,,,17,15,14,,,,,,,,,,,,,,,,,,,,,,,,,,,,,,]]],[0,0,1,1,1,1],118,{"title":"Song","instruments":["Dig Dug","Flute","Hall Brass","Bass Drum","Claps","Hihat","Piano"],"patterns":["Intro","Main"]}]);
+    song = [[[,0,31,,.15,.2,3,5],[.4,0,976,,,.15,2,.2,-.1,-.15,9,.02,,.1,.12,,.23],[,0,247,.01,.14,.15,2,,,,,,154.87,.3,,,.25],[3.5,0,84,,,,,.7,,,,.5,,6.7,1,.05],[,0,655,,,.11,2,1.65,,,,,,3.8,-.1,.1],[.9,0,4e3,,,.03,2,1.25,,,,,.02,6.8,-.3,,.5],[.3,0,124,.15,.2,.5,3]],[[[,,15,,,,15,,,,15,,,15,,,14,,12,,,,12,,,,12,,,12,,,10,,7,,,,7,,,,7,,,7,,,14,,7,,,,7,,,,10,,,12,,,14,,],[2,,,,,22,,,19,,,,,22,,,19,,,,,22,,,24,,,,,22,,,24,,,,,22,,,21,,,,,22,,,21,,,,,27,,,26,,,,,24,,,22,,],[4,,,,,,13,,,,,,,,13,,,,,,,,13,,,,,,,,13,,,,,,,,13,,,,,,,,13,,,,,,,,13,,,,,,,1,13,,25,,],[5,,,,13,13,,,13,13,,13,13,,,,13,13,,,13,13,,,13,13,,13,13,,,,13,13,,,13,13,,,13,13,,13,13,,,,13,13,,,13,13,,,13,13,,13,13,,,,13,13]],[[,,15,,,,15,,,,15,,,15,,,14,,12,,,,12,,,,12,,,12,,,10,,7,,,,7,,,,7,,,7,,,14,,7,,,,7,,,,10,,,12,,,14,,],[1,1,10,,15,,14,,15,,10,,15,,14,,15,,12,,15,,14,,15,,12,,15,,14,,15,,10,,15,,14,,15,,10,,15,,14,,15,,10,,15,,14,,15,,10,,15,,14,,15,,],[2,,,,,22,,,19,,,,,22,,,19,,,,,22,,,24,,,,,22,,,24,,,,,22,,,21,,,,,22,,,21,,,,,27,,,26,,,,,24,,,22,,],[3,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,13,,,,],[4,,,,,,13,,,,,,,,13,,,,,,,,13,,,,,,,,13,,,,,,,,13,,,,,,,,13,,,,,,,,13,,,,,,,1,13,,25,,],[5,-1,,,13,13,,,13,13,,13,13,,,,13,13,,,13,13,,,13,13,,13,13,,,,13,13,,,13,13,,,13,13,,13,13,,,,13,13,,,13,13,,,13,13,,13,13,,,,13,13],[6,-.3,15,,,,,,,,,,,,17,,,,15,,,,,,,,,,,,17,,,,14,12,10,,,,,,,,,,,,,,,,,,,,,,,,,,,,,,],[6,.3,19,,,,,,,,,,,,22,,,,19,,,,,,,,,,,,20,,,,17,15,14,,,,,,,,,,,,,,,,,,,,,,,,,,,,,,]]],[0,0,1,1,1,1],118,{"title":"Song","instruments":["Dig Dug","Flute","Hall Brass","Bass Drum","Claps","Hihat","Piano"],"patterns":["Intro","Main"]}];
 
 export default {
     eat,
     evolve,
     explosion,
+    meow,
+    purr,
     song,
-    zzfxP
+    yawn,
+    zzfxG,
+    zzfxM,
+    zzfxP,
+    zzfxR,
+    zzfxX
 };
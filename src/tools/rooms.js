@@ -0,0 +1,277 @@
+/* eslint-disable no-mixed-operators */
+/* global Blob, Image, Option, URL, document, fetch */
+// Development page to author the rooms of data/rooms.json, not part of the build
+import rooms from '../js/rooms.js';
+import settings from '../js/settings.js';
+import simulation from '../js/simulation.js';
+import tileset from '../js/tileset.js';
+
+let
+    // Mark being dragged, with the tile of it that was grabbed
+    dragging = null,
+    // Index of the room being edited
+    index = 0,
+    // Whether the pointer paints the tiles it moves over
+    isPainting = false,
+    // Rooms being edited
+    list = [];
+
+const
+    // Furniture placed on marked tiles
+    MARKS = ['couch', 'food'],
+    canvas = document.querySelector('canvas'),
+    // Tile under the pointer of an event
+    cellAt = (event) => {
+        const bounds = canvas.getBoundingClientRect();
+
+        return {
+            column: Math.floor((event.clientX - bounds.left) / bounds.width * simulation.LEVEL_WIDTH),
+            row: Math.floor((event.clientY - bounds.top) / bounds.height * simulation.LEVEL_HEIGHT)
+        };
+    },
+    context = canvas.getContext('2d'),
+    // Room being edited
+    current = () => list[index],
+    // Images of the furniture
+    images = Object.fromEntries(MARKS.map((name) => {
+        const image = new Image();
+
+        image.src = `../images/${name}.webp`;
+
+        return [name, image];
+    })),
+    // Whether a mark of a piece of furniture is off the level or on tiles that are not clear
+    isCovered = (room, name, mark) => {
+        const
+            columns = simulation.SIZES[name].width / simulation.TILE_SIZE,
+            rows = simulation.SIZES[name].height / simulation.TILE_SIZE;
+
+        if (mark.column < 0 || mark.row < 0 || mark.column + columns > simulation.LEVEL_WIDTH || mark.row + rows > simulation.LEVEL_HEIGHT) {
+            return true;
+        }
+        for (let row = mark.row; row < mark.row + rows; row += 1) {
+            for (let column = mark.column; column < mark.column + columns; column += 1) {
+                if (!rooms.pieceAt(room, column, row).isClear) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    },
+    // Paint the tile of the room being edited with a piece
+    paint = (cell, name) => {
+        const
+            key = Object.keys(rooms.KEYS).find((tileKey) => rooms.KEYS[tileKey] === name),
+            line = current().tiles[cell.row];
+
+        if (line && cell.column >= 0 && cell.column < line.length) {
+            current().tiles[cell.row] = line.slice(0, cell.column) + key + line.slice(cell.column + 1);
+        }
+    },
+    // Simple query selector helper
+    query = (selector) => document.querySelector(selector),
+    // Draw the room being edited with its marks and list the marks that are not on clear tiles
+    render = () => {
+        const
+            problems = [],
+            room = current();
+
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        if (!room) {
+            return;
+        }
+        tileset.draw(context, room);
+        MARKS.forEach((name) => (room[name] || []).forEach((mark) => {
+            const
+                {height, width} = simulation.SIZES[name],
+                x = mark.column * simulation.TILE_SIZE,
+                y = mark.row * simulation.TILE_SIZE;
+
+            context.globalAlpha = 0.8;
+            context.drawImage(images[name], x, y, width, height);
+            context.globalAlpha = 1;
+            if (isCovered(room, name, mark)) {
+                context.strokeStyle = '#F00';
+                context.strokeRect(x + 1, y + 1, width - 2, height - 2);
+                problems.push(`${name} at ${mark.column}, ${mark.row} is not on clear tiles`);
+            }
+        }));
+        query('#problems').textContent = problems.join('\n');
+    },
+    // Show the room being edited and its rules
+    select = () => {
+        const rules = current() ? current().rules || {} : {};
+
+        query('#room').selectedIndex = index;
+        [...query('#rules').elements].forEach((input) => {
+            input.value = rules[input.name] ?? '';
+        });
+        render();
+    },
+    // Mark of the room being edited covering a tile, with the list of marks it is in
+    spotAt = (cell) => {
+        const room = current();
+
+        return MARKS.flatMap((name) => (room[name] || []).map((mark, markIndex) => ({
+            index: markIndex,
+            list: room[name],
+            mark,
+            name
+        }))).reverse().find(({mark, name}) => cell.column >= mark.column && cell.row >= mark.row &&
+            cell.column < mark.column + simulation.SIZES[name].width / simulation.TILE_SIZE &&
+            cell.row < mark.row + simulation.SIZES[name].height / simulation.TILE_SIZE) || null;
+    },
+    // Piece or furniture picked to edit with
+    tool = () => query('#tools input:checked').value,
+    // Edit a list of rooms, showing one of them
+    use = (definitions, roomIndex = 0) => {
+        list = definitions;
+        index = Math.max(0, Math.min(list.length - 1, roomIndex));
+        query('#room').replaceChildren(...list.map((room) => new Option(room.name)));
+        select();
+    };
+
+// Build a button for every piece and piece of furniture, the first one picked
+[...Object.values(rooms.KEYS), ...MARKS].forEach((name, toolIndex) => {
+    const
+        input = document.createElement('input'),
+        label = document.createElement('label');
+
+    Object.assign(input, {
+        checked: toolIndex === 0,
+        name: 'tool',
+        type: 'radio',
+        value: name
+    });
+    label.append(input, name, ' ');
+    query('#tools').append(label);
+});
+
+// Build a field for the factor of every rule, left empty for rules the room keeps
+Object.keys(settings.RULES).forEach((rule) => {
+    const
+        input = document.createElement('input'),
+        label = document.createElement('label');
+
+    Object.assign(input, {
+        min: 0,
+        name: rule,
+        placeholder: '1',
+        step: 0.05,
+        type: 'number'
+    });
+    label.append(rule, input);
+    query('#rules').append(label);
+});
+
+canvas.addEventListener('pointerdown', (event) => {
+    const
+        cell = cellAt(event),
+        spot = current() && spotAt(cell);
+
+    if (event.button !== 0 || !current()) {
+        return;
+    }
+    canvas.setPointerCapture(event.pointerId);
+    if (spot) {
+        // Keep the tile of the mark that was grabbed under the pointer
+        dragging = {
+            ...spot,
+            column: cell.column - spot.mark.column,
+            row: cell.row - spot.mark.row
+        };
+    } else if (MARKS.includes(tool())) {
+        current()[tool()] = [...current()[tool()] || [], cell];
+    } else {
+        isPainting = true;
+        paint(cell, tool());
+    }
+    render();
+});
+canvas.addEventListener('pointermove', (event) => {
+    const cell = cellAt(event);
+
+    if (dragging) {
+        dragging.mark.column = cell.column - dragging.column;
+        dragging.mark.row = cell.row - dragging.row;
+        render();
+    } else if (isPainting) {
+        paint(cell, tool());
+        render();
+    }
+});
+canvas.addEventListener('pointerup', () => {
+    dragging = null;
+    isPainting = false;
+});
+canvas.addEventListener('contextmenu', (event) => {
+    const spot = current() && spotAt(cellAt(event));
+
+    event.preventDefault();
+    if (spot) {
+        spot.list.splice(spot.index, 1);
+        if (!spot.list.length) {
+            delete current()[spot.name];
+        }
+        render();
+    }
+});
+query('#room').addEventListener('change', () => {
+    index = query('#room').selectedIndex;
+    select();
+});
+query('#add').addEventListener('click', () => {
+    const name = query('#name').value.trim();
+
+    if (name && !list.some((room) => room.name === name)) {
+        list.push({
+            name,
+            tiles: new Array(simulation.LEVEL_HEIGHT).fill('.'.repeat(simulation.LEVEL_WIDTH))
+        });
+        use(list, list.length - 1);
+    }
+});
+query('#remove').addEventListener('click', () => {
+    list.splice(index, 1);
+    use(list, index);
+});
+query('#rules').addEventListener('input', () => {
+    const rules = Object.fromEntries([...query('#rules').elements].
+        filter((input) => input.value !== '').
+        map((input) => [input.name, input.valueAsNumber]));
+
+    if (!current()) {
+        return;
+    }
+    if (Object.keys(rules).length) {
+        current().rules = rules;
+    } else {
+        delete current().rules;
+    }
+});
+query('#export').addEventListener('click', () => {
+    const link = document.createElement('a');
+
+    link.href = URL.createObjectURL(new Blob([`${JSON.stringify(list, null, 4)}\n`], {
+        type: 'application/json'
+    }));
+    link.download = 'rooms.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+});
+query('#import').addEventListener('change', (event) => event.target.files[0].text().
+    then((contents) => use(JSON.parse(contents))).
+    catch((error) => {
+        query('#problems').textContent = `Could not import the rooms: ${error.message}`;
+    }));
+Object.values(images).forEach((image) => image.addEventListener('load', render));
+
+// Draw the level at the size of the game
+canvas.height = simulation.BOUNDS.height;
+canvas.width = simulation.BOUNDS.width;
+
+// Edit the rooms of the game
+fetch('../data/rooms.json').
+    then((response) => response.json()).
+    then((definitions) => use(definitions));
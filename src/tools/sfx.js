@@ -0,0 +1,112 @@
+/* eslint-disable no-extra-parens */
+/* global Option, document, fetch, navigator */
+// Development page to tune the sound effects of zzFx.js, not part of the build
+import audio from '../js/zzFx.js';
+
+const
+    // Definition of an effect in zzFx.js, with its name and parameters
+    DEFINITION = /^\s*(?<name>\w+) = zzfxG\(\.\.\.\[(?<list>[^\]]*)\]\)/gmu,
+    // Name, default, minimum, maximum and step of every parameter, in the order zzfxG takes them, widened for effects outside the range
+    PARAMETERS = [
+        ['volume', 1, 0, 5, 0.05],
+        ['randomness', 0.05, 0, 1, 0.01],
+        ['frequency', 220, 0, 2000, 1],
+        ['attack', 0, 0, 3, 0.01],
+        ['sustain', 0, 0, 3, 0.01],
+        ['release', 0.1, 0, 3, 0.01],
+        ['shape', 0, 0, 5, 1],
+        ['shape curve', 1, 0, 10, 0.05],
+        ['slide', 0, -50, 50, 0.1],
+        ['delta slide', 0, -50, 50, 0.1],
+        ['pitch jump', 0, -2000, 2000, 1],
+        ['pitch jump time', 0, 0, 1, 0.01],
+        ['repeat time', 0, 0, 1, 0.01],
+        ['noise', 0, 0, 10, 0.1],
+        ['modulation', 0, -100, 100, 0.5],
+        ['bit crush', 0, 0, 1, 0.01],
+        ['delay', 0, 0, 1, 0.01],
+        ['sustain volume', 1, 0, 1, 0.01],
+        ['decay', 0, 0, 1, 0.01],
+        ['tremolo', 0, 0, 1, 0.01]
+    ],
+    // Parameters of every effect as defined in the file, by name
+    effects = {},
+    // Parameters in the minified format of the file: defaults left out, no leading zeros and no trailing commas
+    format = (values) => {
+        const items = values.map((value, index) => (value === PARAMETERS[index][1] ? '' : String(value).replace(/^(?<sign>-?)0\./u, '$<sign>.')));
+
+        while (items.length && items[items.length - 1] === '') {
+            items.pop();
+        }
+
+        return `[${items.join(', ')}]`;
+    },
+    // Parameters of an effect from the list in the file, with the defaults for the ones left out
+    parse = (list) => {
+        const items = list.split(',');
+
+        return PARAMETERS.map(([, value], index) => (items[index] && items[index].trim() ? Number(items[index]) : value));
+    },
+    // Simple query selector helper
+    query = (selector) => document.querySelector(selector),
+    // Values of the sliders
+    read = () => [...query('#parameters').elements].map((input) => input.valueAsNumber),
+    // Show the values of the sliders and the line to paste back into the file
+    render = () => {
+        read().forEach((value, index) => {
+            query('#parameters').children[index].querySelector('output').value = value;
+        });
+        query('#code').value = `${query('#effect').value} = zzfxG(...${format(read())}),`;
+    },
+    // Set the sliders to the parameters of the selected effect, widening their range to fit them
+    select = () => {
+        effects[query('#effect').value].forEach((value, index) => {
+            const
+                [, , min, max] = PARAMETERS[index],
+                input = query('#parameters').elements[index];
+
+            input.min = Math.min(min, value);
+            input.max = Math.max(max, value);
+            input.value = value;
+        });
+        render();
+    },
+    // Play the effect set by the sliders
+    sound = () => {
+        audio.zzfxX.resume();
+        audio.zzfxP(audio.zzfxG(...read()));
+    };
+
+// Build a slider for every parameter
+PARAMETERS.forEach(([name, , min, max, step]) => {
+    const
+        input = document.createElement('input'),
+        label = document.createElement('label');
+
+    Object.assign(input, {
+        max,
+        min,
+        step,
+        type: 'range'
+    });
+    label.append(name, input, document.createElement('output'));
+    query('#parameters').append(label);
+});
+
+query('#parameters').addEventListener('input', render);
+query('#parameters').addEventListener('change', sound);
+query('#effect').addEventListener('change', select);
+query('#play').addEventListener('click', sound);
+query('#reset').addEventListener('click', select);
+query('#copy').addEventListener('click', () => navigator.clipboard.writeText(query('#code').value));
+
+// List the effects defined in the file
+fetch('../js/zzFx.js').
+    then((response) => response.text()).
+    then((source) => {
+        [...source.matchAll(DEFINITION)].forEach(([, name, list]) => {
+            effects[name] = parse(list);
+            query('#effect').append(new Option(name, name));
+        });
+        select();
+    });
@@ -0,0 +1,22 @@
+/* global URL, process */
+// Verify a recorded run headlessly, usage: npm run verify-replay -- path/to/replay.json
+import {readFile} from 'node:fs/promises';
+import replay from '../src/js/replay.js';
+import rooms from '../src/js/rooms.js';
+import stages from '../src/js/stages.js';
+
+readFile(new URL('../src/data/stages.json', import.meta.url), 'utf8').
+    then((definitions) => stages.define(JSON.parse(definitions))).
+    then(() => readFile(new URL('../src/data/rooms.json', import.meta.url), 'utf8')).
+    then((definitions) => rooms.define(JSON.parse(definitions))).
+    then(() => readFile(process.argv[2], 'utf8')).
+    then((contents) => {
+        const result = replay.verify(JSON.parse(contents));
+
+        process.stdout.write(result.valid ? `VALID: ascended in ${result.time.toFixed(3)}s\n` : 'INVALID\n');
+        process.exitCode = result.valid ? 0 : 1;
+    }).
+    catch((error) => {
+        process.stderr.write(`Could not verify the replay: ${error.message}\n`);
+        process.exitCode = 1;
+    });